@@ -0,0 +1,85 @@
+const os = require('os')
+const path = require('path')
+
+jest.mock('../databasemanager', () => ({
+    ConfigDBManager: {
+        get: jest.fn(),
+        save: jest.fn()
+    }
+}))
+jest.mock('../fingerprint', () => ({}))
+jest.mock('keytar', () => {
+    const passwords = new Map()
+    return {
+        passwords,
+        getPassword: jest.fn(async (service, account) => passwords.get(`${service}/${account}`) || null),
+        setPassword: jest.fn(async (service, account, password) => {
+            passwords.set(`${service}/${account}`, password)
+        }),
+        deletePassword: jest.fn(async (service, account) => passwords.delete(`${service}/${account}`))
+    }
+}, {virtual: true})
+
+process.env.CONFIG_DIRECT_PATH = path.join(os.tmpdir(), 'configmanager-test')
+
+const keytar = require('keytar')
+const {ConfigDBManager} = require('../databasemanager')
+const ConfigManager = require('../configmanager')
+
+function loadConfig(proxy) {
+    ConfigDBManager.get.mockReturnValue({config: JSON.stringify({settings: {launcher: {proxy}}})})
+    ConfigManager.load()
+}
+
+function savedProxy() {
+    return ConfigDBManager.save.mock.calls[ConfigDBManager.save.mock.calls.length - 1][0].settings.launcher.proxy
+}
+
+beforeEach(() => {
+    keytar.passwords.clear()
+    ConfigDBManager.save.mockClear()
+})
+
+describe('ConfigManager proxy password', () => {
+    test('moves a password of the configuration to the keychain', async () => {
+        loadConfig({autodetect: false, url: 'http://host:3128', username: 'user', password: 'secret'})
+
+        await ConfigManager.loadProxyPassword()
+
+        expect(ConfigManager.getProxyPassword()).toBe('secret')
+        expect([...keytar.passwords.values()]).toEqual(['secret'])
+        expect(savedProxy()).not.toHaveProperty('password')
+    })
+
+    test('keeps the password out of the configuration', async () => {
+        loadConfig({autodetect: false, url: 'http://host:3128', username: 'user'})
+
+        ConfigManager.setProxyPassword('changed')
+        await ConfigManager.storeProxyPassword()
+        ConfigManager.save()
+
+        expect(savedProxy()).not.toHaveProperty('password')
+        ConfigManager.setProxyPassword('')
+        await ConfigManager.loadProxyPassword()
+        expect(ConfigManager.getProxyPassword()).toBe('changed')
+    })
+
+    test('removes the password from the keychain once it is cleared', async () => {
+        loadConfig({autodetect: false, url: 'http://host:3128', username: 'user'})
+        ConfigManager.setProxyPassword('secret')
+        await ConfigManager.storeProxyPassword()
+
+        ConfigManager.setProxyPassword('')
+        await ConfigManager.storeProxyPassword()
+
+        expect(keytar.passwords.size).toBe(0)
+    })
+})
+
+describe('ConfigManager game session', () => {
+    test('leaves seeding and background updates as is by default', () => {
+        loadConfig({autodetect: true, url: '', username: ''})
+
+        expect(ConfigManager.getGameSessionMode()).toBe('keep')
+    })
+})
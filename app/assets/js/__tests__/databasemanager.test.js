@@ -0,0 +1,105 @@
+const os = require('os')
+const path = require('path')
+
+// Only the torrents table is backed by rows, the other statements do nothing.
+jest.mock('better-sqlite3-with-prebuilds-latest', () => {
+    return class Database {
+        constructor() {
+            this.torrents = []
+        }
+
+        prepare(sql) {
+            const statement = {run: () => {}, get: () => undefined, all: () => []}
+            if (sql.startsWith('PRAGMA table_info(torrents)')) {
+                statement.all = () => [{name: 'path'}, {name: 'torrentdata'}, {name: 'unfinished'}]
+            } else if (sql.startsWith('INSERT INTO torrents') && sql.includes('ON CONFLICT(path) DO UPDATE')) {
+                statement.run = (targetPath, torrentdata, unfinished) => {
+                    if (this.torrents.some(row => row.path !== targetPath && row.torrentdata === torrentdata)) {
+                        throw new Error('UNIQUE constraint failed: torrents.torrentdata')
+                    }
+                    this.torrents = this.torrents.filter(row => row.path !== targetPath)
+                    this.torrents.push({path: targetPath, torrentdata, unfinished})
+                }
+            } else if (sql === 'SELECT path FROM torrents WHERE torrentdata = ?') {
+                statement.get = (torrentdata) => this.torrents.find(row => row.torrentdata === torrentdata)
+            } else if (sql === 'SELECT * FROM torrents') {
+                statement.all = () => [...this.torrents]
+            } else if (sql === 'DELETE FROM torrents WHERE path = ?') {
+                statement.run = (targetPath) => {
+                    this.torrents = this.torrents.filter(row => row.path !== targetPath)
+                }
+            }
+            return statement
+        }
+    }
+}, {virtual: true})
+
+process.env.CONFIG_DIRECT_PATH = path.join(os.tmpdir(), 'databasemanager-test')
+
+const {TorrentDBManager} = require('../databasemanager')
+
+const root = path.join(os.tmpdir(), 'instances')
+
+beforeEach(() => {
+    for (const row of TorrentDBManager.getAll()) {
+        TorrentDBManager.remove(JSON.parse(row.path))
+    }
+})
+
+function stored() {
+    return TorrentDBManager.getAll().map(row => JSON.parse(row.path)).sort()
+}
+
+describe('TorrentDBManager.add', () => {
+    test('replaces the torrent of the path', () => {
+        const file = path.join(root, '1.0', 'data.pak')
+        TorrentDBManager.saveProgress(file, Buffer.from('1'))
+        TorrentDBManager.add(file, Buffer.from('2'))
+
+        expect(TorrentDBManager.getAll()).toEqual([{path: JSON.stringify(file), torrentdata: Buffer.from('2').toString('base64'), unfinished: 0}])
+    })
+
+    test('keeps the torrent of another path with the same content', () => {
+        const seeded = path.join(root, '1.0', 'data.pak')
+        const copy = path.join(root, '2.0', 'data.pak')
+        TorrentDBManager.add(seeded, Buffer.from('1'))
+        TorrentDBManager.add(copy, Buffer.from('2'))
+
+        TorrentDBManager.add(copy, Buffer.from('1'))
+
+        expect(stored()).toEqual([seeded])
+    })
+})
+
+describe('TorrentDBManager.removeUnder', () => {
+    test('removes the files in the directories and the directories themselves', () => {
+        const files = [
+            path.join(root, '1.0', 'data.pak'),
+            path.join(root, '1.0', 'maps', 'a.pak'),
+            path.join(root, '1.0'),
+            path.join(root, '2.0', 'data.pak')
+        ]
+        files.forEach((file, i) => TorrentDBManager.add(file, Buffer.from(String(i))))
+
+        TorrentDBManager.removeUnder([path.join(root, '1.0')])
+
+        expect(stored()).toEqual([path.join(root, '2.0', 'data.pak')])
+    })
+
+    test('keeps the files of directories which only share the prefix', () => {
+        const kept = path.join(root, '1.0.1', 'data.pak')
+        TorrentDBManager.add(kept, Buffer.from('1'))
+
+        TorrentDBManager.removeUnder([path.join(root, '1.0')])
+
+        expect(stored()).toEqual([kept])
+    })
+
+    test('does nothing without directories', () => {
+        TorrentDBManager.add(path.join(root, '1.0', 'data.pak'), Buffer.from('1'))
+
+        TorrentDBManager.removeUnder([])
+
+        expect(stored()).toEqual([path.join(root, '1.0', 'data.pak')])
+    })
+})
@@ -0,0 +1,513 @@
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+jest.mock('../databasemanager', () => ({
+    TorrentDBManager: {
+        remove: jest.fn()
+    }
+}))
+jest.mock('../configmanager', () => ({
+    getDownloadSegments: jest.fn(() => 4),
+    getSegmentedDownloadMinSize: jest.fn(() => 0),
+    getLocalSourceDirectory: jest.fn(() => null),
+    getLanSharing: jest.fn(() => false),
+    getFetcherPriorities: jest.fn(() => ({})),
+    getRetryPolicies: jest.fn(() => ({}))
+}))
+jest.mock('../mirrormanager', () => ({
+    reportSuccess: jest.fn(),
+    reportFailure: jest.fn(),
+    sortUrls: jest.fn(urls => urls)
+}))
+jest.mock('../statsmanager', () => ({
+    recordHost: jest.fn(),
+    recordBytes: jest.fn(),
+    recordSuccess: jest.fn(),
+    recordFailure: jest.fn(),
+    recordFallback: jest.fn(),
+    recordSavedBytes: jest.fn()
+}))
+jest.mock('../lanmanager', () => ({
+    discoverPeers: jest.fn(async () => ['http://192.168.1.20:4000'])
+}))
+jest.mock('../versionsmanager', () => ({
+    versions: jest.fn(() => [])
+}))
+jest.mock('../bandwidthmanager', () => ({
+    getLimits: jest.fn(() => ({download: 1024 * 1024})),
+    watch: jest.fn(() => () => {})
+}))
+jest.mock('../proxymanager', () => ({
+    getGotAgent: jest.fn(() => undefined)
+}))
+
+const ConfigManager = require('../configmanager')
+const {TorrentDBManager} = require('../databasemanager')
+const MirrorManager = require('../mirrormanager')
+const FetchManager = require('../fetchmanager')
+const {DIFF_TOOLS, DownloadController, HttpFetcher, PatchFetcher} = FetchManager
+const TOOLS_MANIFEST = require('../../tools.json')
+
+const CONTENT = Buffer.from(Array.from({length: 1000}, (_, i) => i % 251))
+const CONTENT_SHA1 = crypto.createHash('sha1').update(CONTENT).digest('hex')
+const ETAG = '"content-v1"'
+
+function createReporter() {
+    return {
+        controller: new DownloadController(),
+        download: jest.fn(),
+        resume: jest.fn(),
+        reset: jest.fn()
+    }
+}
+
+let server
+let baseUrl
+let handler
+let tmpDir
+const sockets = new Set()
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => handler(req, res))
+    server.on('connection', (socket) => {
+        sockets.add(socket)
+        socket.on('close', () => sockets.delete(socket))
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => {
+    // Keep-alive connections of the client would hold the server open.
+    sockets.forEach(socket => socket.destroy())
+    return new Promise(resolve => server.close(resolve))
+})
+
+beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fetchmanager-'))
+})
+
+afterEach(() => fs.remove(tmpDir))
+
+describe('HttpFetcher._planSegments', () => {
+    test('splits the file into contiguous ranges', () => {
+        const fetcher = new HttpFetcher(createReporter(), baseUrl, null, 'test', 1000)
+        expect(fetcher._planSegments()).toEqual([
+            {start: 0, end: 249, position: 0},
+            {start: 250, end: 499, position: 250},
+            {start: 500, end: 749, position: 500},
+            {start: 750, end: 999, position: 750}
+        ])
+    })
+
+    test('gives the remainder to the last segment', () => {
+        ConfigManager.getDownloadSegments.mockReturnValueOnce(3)
+        const fetcher = new HttpFetcher(createReporter(), baseUrl, null, 'test', 10)
+        expect(fetcher._planSegments()).toEqual([
+            {start: 0, end: 3, position: 0},
+            {start: 4, end: 7, position: 4},
+            {start: 8, end: 9, position: 8}
+        ])
+    })
+
+    test('does not split small or unknown files', () => {
+        ConfigManager.getSegmentedDownloadMinSize.mockReturnValueOnce(1)
+        expect(new HttpFetcher(createReporter(), baseUrl, null, 'test', 1000)._planSegments()).toBeNull()
+        expect(new HttpFetcher(createReporter(), baseUrl, null, 'test', null)._planSegments()).toBeNull()
+    })
+
+    test('does not split if a single connection is configured', () => {
+        ConfigManager.getDownloadSegments.mockReturnValueOnce(1)
+        expect(new HttpFetcher(createReporter(), baseUrl, null, 'test', 1000)._planSegments()).toBeNull()
+    })
+})
+
+function serveRange(req, res) {
+    if (req.headers['range'] == null || (req.headers['if-range'] != null && req.headers['if-range'] !== ETAG)) {
+        res.writeHead(200, {'ETag': ETAG, 'Content-Length': CONTENT.length})
+        res.end(CONTENT)
+        return
+    }
+    const [, start, end = CONTENT.length - 1] = /bytes=(\d+)-(\d+)?/.exec(req.headers['range'])
+    res.writeHead(206, {
+        'ETag': ETAG,
+        'Content-Range': `bytes ${start}-${end}/${CONTENT.length}`,
+        'Content-Length': end - start + 1
+    })
+    res.end(CONTENT.slice(Number(start), Number(end) + 1))
+}
+
+describe('HttpFetcher._fetchSegmented', () => {
+    test('writes every segment into the target file', async () => {
+        handler = serveRange
+        const targetPath = path.join(tmpDir, 'file.bin')
+        const fetcher = new HttpFetcher(createReporter(), `${baseUrl}/file.bin`, null, 'test', CONTENT.length, 'sha1')
+
+        await expect(fetcher._fetchSegmented(targetPath)).resolves.toEqual({digest: CONTENT_SHA1})
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT)
+        expect(await fs.pathExists(HttpFetcher.getResumeInfoPath(targetPath))).toBe(false)
+    })
+
+    test('continues the segments of a previous attempt', async () => {
+        const ranges = []
+        handler = (req, res) => {
+            ranges.push(req.headers['range'])
+            serveRange(req, res)
+        }
+        const targetPath = path.join(tmpDir, 'file.bin')
+        const partial = Buffer.alloc(CONTENT.length)
+        CONTENT.copy(partial, 0, 0, 100)
+        CONTENT.copy(partial, 500, 500, 750)
+        await fs.writeFile(targetPath, partial)
+        await fs.writeJson(HttpFetcher.getResumeInfoPath(targetPath), {
+            url: `${baseUrl}/file.bin`,
+            etag: ETAG,
+            lastModified: null,
+            segments: [
+                {start: 0, end: 499, position: 100},
+                {start: 500, end: 999, position: 750}
+            ]
+        })
+        const reporter = createReporter()
+        const fetcher = new HttpFetcher(reporter, `${baseUrl}/file.bin`, null, 'test', CONTENT.length, 'sha1')
+
+        await expect(fetcher._fetchSegmented(targetPath)).resolves.toEqual({digest: CONTENT_SHA1})
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT)
+        expect(reporter.resume).toHaveBeenCalledWith(350)
+        expect(ranges.sort()).toEqual(['bytes=100-499', 'bytes=750-999'])
+    })
+
+    test('does not write late segments after a failure and saves the state once all settled', async () => {
+        const lateResponses = []
+        handler = (req, res) => {
+            const start = Number(/bytes=(\d+)-/.exec(req.headers['range'])[1])
+            if (start === 250) {
+                res.writeHead(404)
+                res.end()
+            } else if (start === 0) {
+                serveRange(req, res)
+            } else {
+                // Answered only after the download already failed.
+                lateResponses.push(() => serveRange(req, res))
+            }
+        }
+        const targetPath = path.join(tmpDir, 'file.bin')
+        const fetcher = new HttpFetcher(createReporter(), `${baseUrl}/file.bin`, null, 'test', CONTENT.length)
+
+        const result = fetcher._fetchSegmented(targetPath)
+        let settled = false
+        result.catch(() => {}).then(() => settled = true)
+        while (lateResponses.length < 2) {
+            await new Promise(resolve => setTimeout(resolve, 10))
+        }
+        expect(settled).toBe(false)
+        lateResponses.forEach(respond => respond())
+
+        await expect(result).rejects.toMatchObject({retryable: false})
+        const written = await fs.readFile(targetPath)
+        expect(written.slice(250).equals(Buffer.alloc(750))).toBe(true)
+        const state = await fs.readJson(HttpFetcher.getResumeInfoPath(targetPath))
+        const [firstSegment, ...rest] = state.segments
+        expect(written.slice(0, firstSegment.position)).toEqual(CONTENT.slice(0, firstSegment.position))
+        expect(rest.map(segment => segment.position)).toEqual([250, 500, 750])
+    })
+})
+
+describe('HttpFetcher._fetch', () => {
+    let requests
+
+    beforeEach(() => {
+        requests = []
+        handler = (req, res) => {
+            requests.push({range: req.headers['range'], ifRange: req.headers['if-range']})
+            serveRange(req, res)
+        }
+    })
+
+    async function writePartial(targetPath, length, etag) {
+        await fs.writeFile(targetPath, CONTENT.slice(0, length))
+        await fs.writeJson(HttpFetcher.getResumeInfoPath(targetPath), {url: `${baseUrl}/file.bin`, etag, lastModified: null})
+    }
+
+    test('resumes a partial file with a range request', async () => {
+        const targetPath = path.join(tmpDir, 'file.bin')
+        await writePartial(targetPath, 400, ETAG)
+        const reporter = createReporter()
+        const fetcher = new HttpFetcher(reporter, `${baseUrl}/file.bin`, null, 'test', null, 'sha1')
+
+        await expect(fetcher._fetch(targetPath)).resolves.toBe(CONTENT_SHA1)
+        expect(requests).toEqual([{range: 'bytes=400-', ifRange: ETAG}])
+        expect(reporter.resume).toHaveBeenCalledWith(400)
+        expect(fetcher.downloaded).toBe(600)
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT)
+        expect(await fs.pathExists(HttpFetcher.getResumeInfoPath(targetPath))).toBe(false)
+    })
+
+    test('downloads the whole file again if it was changed', async () => {
+        const targetPath = path.join(tmpDir, 'file.bin')
+        await fs.writeFile(targetPath, Buffer.alloc(400, 0xff))
+        await fs.writeJson(HttpFetcher.getResumeInfoPath(targetPath), {url: `${baseUrl}/file.bin`, etag: '"content-v0"', lastModified: null})
+        const reporter = createReporter()
+        const fetcher = new HttpFetcher(reporter, `${baseUrl}/file.bin`, null, 'test', null, 'sha1')
+
+        await expect(fetcher._fetch(targetPath)).resolves.toBe(CONTENT_SHA1)
+        expect(requests).toEqual([{range: 'bytes=400-', ifRange: '"content-v0"'}])
+        expect(reporter.resume).not.toHaveBeenCalled()
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT)
+    })
+
+    test('does not resume a partial file of another url', async () => {
+        const targetPath = path.join(tmpDir, 'file.bin')
+        await writePartial(targetPath, 400, ETAG)
+        const fetcher = new HttpFetcher(createReporter(), `${baseUrl}/file.bin?v=2`, null, 'test', null, 'sha1')
+
+        await expect(fetcher._fetch(targetPath)).resolves.toBe(CONTENT_SHA1)
+        expect(requests).toEqual([{range: undefined, ifRange: undefined}])
+    })
+})
+
+describe('HttpFetcher retryable failures', () => {
+    test.each([
+        [503, true],
+        [429, true],
+        [404, false],
+        [403, false]
+    ])('status %i is retryable: %s', async (status, retryable) => {
+        handler = (req, res) => {
+            // Lets the client give up at once instead of retrying on its own.
+            res.writeHead(status, {'retry-after': '0'})
+            res.end()
+        }
+        const fetcher = new HttpFetcher(createReporter(), `${baseUrl}/file.bin`, null, 'test', null, 'sha1')
+
+        await expect(fetcher.fetch(path.join(tmpDir, 'file.bin'))).rejects.toMatchObject({name: 'FetchError', retryable})
+    })
+
+    test('a refused connection is retryable', async () => {
+        const closed = http.createServer()
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+        const url = `http://127.0.0.1:${closed.address().port}/file.bin`
+        await new Promise(resolve => closed.close(resolve))
+        const fetcher = new HttpFetcher(createReporter(), url, null, 'test', null, 'sha1')
+
+        await expect(fetcher.fetch(path.join(tmpDir, 'file.bin'))).rejects.toMatchObject({name: 'FetchError', retryable: true})
+    })
+})
+
+describe('HttpFetcher mirror statistics', () => {
+    test('leaves the failures to be reported once the asset is given up', async () => {
+        handler = (req, res) => {
+            res.writeHead(404)
+            res.end()
+        }
+        MirrorManager.reportFailure.mockClear()
+        const fetcher = new HttpFetcher(createReporter(), `${baseUrl}/file.bin`, null, 'test', null, 'sha1')
+
+        await expect(fetcher.fetch(path.join(tmpDir, 'file.bin'))).rejects.toMatchObject({retryable: false})
+        await expect(fetcher.fetch(path.join(tmpDir, 'file.bin'))).rejects.toMatchObject({retryable: false})
+        expect(MirrorManager.reportFailure).not.toHaveBeenCalled()
+
+        fetcher.reportFailure()
+        expect(MirrorManager.reportFailure).toHaveBeenCalledTimes(1)
+        expect(MirrorManager.reportFailure).toHaveBeenCalledWith(`${baseUrl}/file.bin`)
+    })
+})
+
+describe('Facade._createFetchers', () => {
+    const asset = {
+        id: 'pack',
+        path: 'pack.bin',
+        size: CONTENT.length,
+        checksum: {algo: 'sha1', hash: CONTENT_SHA1},
+        urls: ['https://a.example.com/pack.bin']
+    }
+
+    beforeEach(() => fs.writeFile(path.join(tmpDir, asset.path), CONTENT))
+
+    async function createFetchers() {
+        const facade = await FetchManager.init(null, [null, {id: 'target', downloads: {}}], null, 'test')
+        const fetchers = await facade._createFetchers(asset, createReporter())
+        return fetchers.map(fetcher => fetcher.constructor.name)
+    }
+
+    test('tries the local directory before the network', async () => {
+        ConfigManager.getLocalSourceDirectory.mockReturnValue(tmpDir)
+        try {
+            await expect(createFetchers()).resolves.toEqual(['LocalDirectoryFetcher', 'HttpFetcher'])
+        } finally {
+            ConfigManager.getLocalSourceDirectory.mockReturnValue(null)
+        }
+    })
+
+    test('takes the priority of the local directory from the configuration', async () => {
+        ConfigManager.getLocalSourceDirectory.mockReturnValue(tmpDir)
+        ConfigManager.getFetcherPriorities.mockReturnValue({local: 10})
+        try {
+            await expect(createFetchers()).resolves.toEqual(['HttpFetcher', 'LocalDirectoryFetcher'])
+        } finally {
+            ConfigManager.getLocalSourceDirectory.mockReturnValue(null)
+            ConfigManager.getFetcherPriorities.mockReturnValue({})
+        }
+    })
+
+    test('skips the local directory if it does not have the file', async () => {
+        ConfigManager.getLocalSourceDirectory.mockReturnValue(path.join(tmpDir, 'missing'))
+        try {
+            await expect(createFetchers()).resolves.toEqual(['HttpFetcher'])
+        } finally {
+            ConfigManager.getLocalSourceDirectory.mockReturnValue(null)
+        }
+    })
+
+    test('skips the local directory if none is configured', async () => {
+        await expect(createFetchers()).resolves.toEqual(['HttpFetcher'])
+    })
+
+    test('asks LAN peers if sharing is enabled, with the configured priority', async () => {
+        ConfigManager.getLanSharing.mockReturnValue(true)
+        try {
+            await expect(createFetchers()).resolves.toEqual(['LanFetcher', 'HttpFetcher'])
+            ConfigManager.getFetcherPriorities.mockReturnValue({lan: 10})
+            await expect(createFetchers()).resolves.toEqual(['HttpFetcher', 'LanFetcher'])
+        } finally {
+            ConfigManager.getLanSharing.mockReturnValue(false)
+            ConfigManager.getFetcherPriorities.mockReturnValue({})
+        }
+    })
+})
+
+describe('LocalDirectoryFetcher', () => {
+    let sourceDir
+    let targetPath
+
+    beforeEach(async () => {
+        sourceDir = path.join(tmpDir, 'source')
+        targetPath = path.join(tmpDir, 'target', 'pack.bin')
+        await fs.outputFile(path.join(sourceDir, 'pack.bin'), CONTENT)
+        await fs.outputFile(targetPath, CONTENT.slice(0, 400))
+        await fs.writeJson(HttpFetcher.getResumeInfoPath(targetPath), {url: `${baseUrl}/pack.bin`, etag: ETAG, lastModified: null})
+        ConfigManager.getLocalSourceDirectory.mockReturnValue(sourceDir)
+    })
+
+    afterEach(() => ConfigManager.getLocalSourceDirectory.mockReturnValue(null))
+
+    async function createFetcher(hash) {
+        const asset = {id: 'pack', path: 'pack.bin', targetPath, size: CONTENT.length, checksum: {algo: 'sha1', hash}, urls: []}
+        const facade = await FetchManager.init(null, [null, {id: 'target', downloads: {}}], null, 'test')
+        const [fetcher] = await facade._createFetchers(asset, createReporter())
+        return fetcher
+    }
+
+    test('copies the file and drops the obsolete partial download', async () => {
+        const fetcher = await createFetcher(CONTENT_SHA1)
+
+        await expect(fetcher.fetch(targetPath)).resolves.toBe(CONTENT_SHA1)
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT)
+        expect(await fs.pathExists(HttpFetcher.getResumeInfoPath(targetPath))).toBe(false)
+        expect(await fs.pathExists(targetPath + '.local')).toBe(false)
+    })
+
+    test('keeps the partial download if the copy does not match the checksum', async () => {
+        const fetcher = await createFetcher('0'.repeat(40))
+
+        await expect(fetcher.fetch(targetPath)).rejects.toMatch('does not match the expected checksum')
+        expect(await fs.readFile(targetPath)).toEqual(CONTENT.slice(0, 400))
+        expect(await fs.pathExists(HttpFetcher.getResumeInfoPath(targetPath))).toBe(true)
+        expect(await fs.pathExists(targetPath + '.local')).toBe(false)
+    })
+})
+
+describe('PatchFetcher.fetch', () => {
+    test('reports the progress of the asset and the bytes of the patch', async () => {
+        const patch = CONTENT.slice(0, 100)
+        handler = (req, res) => {
+            res.writeHead(200, {'Content-Length': patch.length})
+            res.end(patch)
+        }
+        const patchSha1 = crypto.createHash('sha1').update(patch).digest('hex')
+        const url = `patch:///?bs=1.0&su=${encodeURIComponent(`${baseUrl}/file.patch`)}&dt=hpatchz&xl=${patch.length}&cs=sha1:${patchSha1}`
+        const reporter = createReporter()
+        const fetcher = new PatchFetcher(reporter, url, null, {id: 'file', size: CONTENT.length, checksum: {algo: 'sha1', hash: CONTENT_SHA1}}, 'test')
+        jest.spyOn(fetcher, '_findStart').mockResolvedValue({index: 0, basePath: path.join(tmpDir, 'base.bin')})
+        jest.spyOn(fetcher, '_applyPatch').mockImplementation(async (diffType, basePath, patchPath, outputPath) => {
+            await fs.writeFile(outputPath, CONTENT)
+            return CONTENT_SHA1
+        })
+
+        await expect(fetcher.fetch(path.join(tmpDir, 'file.bin'))).resolves.toBe(CONTENT_SHA1)
+        const sum = (index) => reporter.download.mock.calls.reduce((acc, args) => acc + args[index], 0)
+        expect(sum(0)).toBe(CONTENT.length)
+        expect(sum(1)).toBe(patch.length)
+    })
+})
+
+describe('PatchFetcher.getToolPath', () => {
+    const toolNames = Object.entries(DIFF_TOOLS).flatMap(([diffType, {tool}]) => ['linux', 'win32'].flatMap(platform =>
+        ['32', '64'].map(bits => [diffType, PatchFetcher._getToolNameFor(tool, platform, bits)])))
+
+    test.each(toolNames)('the tool of %s is bundled as %s', (diffType, toolName) => {
+        expect(TOOLS_MANIFEST).toHaveProperty([toolName])
+    })
+
+    test('does not run a tool from PATH which is not bundled', async () => {
+        const toolFile = path.join(tmpDir, 'zstd')
+        await fs.outputFile(toolFile, '#!/bin/sh\n', {mode: 0o755})
+        const envPath = process.env.PATH
+        process.env.PATH = `${tmpDir}${path.delimiter}${envPath}`
+        try {
+            await expect(PatchFetcher.getToolPath('zstd')).rejects.toThrow('zstd is not available')
+        } finally {
+            process.env.PATH = envPath
+        }
+    })
+})
+
+describe('Facade.validateBase', () => {
+    test('validates each base once per session', async () => {
+        const facade = await FetchManager.init(null, [null, {id: 'target', downloads: {}}], null, 'test')
+        const base = {targetPath: path.join(tmpDir, 'base.bin'), checksum: {algo: 'sha1', hash: CONTENT_SHA1}, validateLocal: jest.fn(async () => false)}
+
+        await expect(facade.validateBase(base)).resolves.toBe(false)
+        await expect(facade.validateBase({...base})).resolves.toBe(false)
+        expect(base.validateLocal).toHaveBeenCalledTimes(1)
+
+        const otherChecksum = {...base, checksum: {algo: 'sha1', hash: '0'.repeat(40)}}
+        await facade.validateBase(otherChecksum)
+        expect(base.validateLocal).toHaveBeenCalledTimes(2)
+    })
+})
+
+describe('Facade.pull', () => {
+    test('forgets the stored torrent of a file fetched from another source', async () => {
+        const sourceDir = path.join(tmpDir, 'source')
+        await fs.outputFile(path.join(sourceDir, 'pack.bin'), CONTENT)
+        ConfigManager.getLocalSourceDirectory.mockReturnValue(sourceDir)
+        TorrentDBManager.remove.mockClear()
+        const asset = {
+            id: 'pack',
+            path: 'pack.bin',
+            targetPath: path.join(tmpDir, 'target', 'pack.bin'),
+            size: CONTENT.length,
+            checksum: {algo: 'sha1', hash: CONTENT_SHA1},
+            urls: [],
+            markValid: jest.fn()
+        }
+
+        try {
+            const facade = await FetchManager.init(null, [null, {id: 'target', downloads: {}}], null, 'test')
+            const req = await facade.pull(asset)
+            await new Promise((resolve, reject) => {
+                req.on('done', resolve)
+                req.on('error', reject)
+            })
+        } finally {
+            ConfigManager.getLocalSourceDirectory.mockReturnValue(null)
+        }
+
+        expect(asset.markValid).toHaveBeenCalled()
+        expect(TorrentDBManager.remove).toHaveBeenCalledWith(asset.targetPath)
+    })
+})
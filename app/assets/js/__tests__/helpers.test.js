@@ -0,0 +1,76 @@
+const {ThrottleGroup, Util} = require('../helpers')
+
+describe('Util.isHourWithin', () => {
+    test.each([
+        [8, 8, 17, true],
+        [16, 8, 17, true],
+        [17, 8, 17, false],
+        [7, 8, 17, false]
+    ])('hour %i within %i-%i during the day: %s', (hour, startHour, endHour, expected) => {
+        expect(Util.isHourWithin(hour, startHour, endHour)).toBe(expected)
+    })
+
+    test.each([
+        [22, 22, 6, true],
+        [23, 22, 6, true],
+        [0, 22, 6, true],
+        [5, 22, 6, true],
+        [6, 22, 6, false],
+        [12, 22, 6, false],
+        [21, 22, 6, false]
+    ])('hour %i within %i-%i over midnight: %s', (hour, startHour, endHour, expected) => {
+        expect(Util.isHourWithin(hour, startHour, endHour)).toBe(expected)
+    })
+
+    test('the same start and end hour stand for the whole day', () => {
+        for (let hour = 0; hour < 24; hour++) {
+            expect(Util.isHourWithin(hour, 3, 3)).toBe(true)
+        }
+    })
+})
+
+describe('ThrottleGroup', () => {
+    /**
+     * @returns {Promise<number>} Milliseconds it took to pass the data through the stream.
+     */
+    function passThrough(throttle, data, onFirstChunk = () => {}) {
+        const start = Date.now()
+        return new Promise((resolve, reject) => {
+            let received = 0
+            throttle.on('data', chunk => {
+                if (received === 0) {
+                    onFirstChunk()
+                }
+                received += chunk.length
+            })
+            throttle.on('end', () => {
+                expect(received).toBe(data.length)
+                resolve(Date.now() - start)
+            })
+            throttle.on('error', reject)
+            throttle.end(data)
+        })
+    }
+
+    test('passes the data on at once without a limit', async () => {
+        const group = new ThrottleGroup(Infinity, 100)
+
+        expect(await passThrough(group.throttle(), Buffer.alloc(100000))).toBeLessThan(200)
+    })
+
+    test('running streams speed up when the rate is raised', async () => {
+        const group = new ThrottleGroup(1000, 100)
+
+        // 2 seconds at the initial rate.
+        const elapsed = await passThrough(group.throttle(), Buffer.alloc(2000), () => group.setRate(100000))
+        expect(elapsed).toBeLessThan(1000)
+    })
+
+    test('running streams slow down when the rate is lowered', async () => {
+        const group = new ThrottleGroup(10000, 100)
+
+        // 0.2 seconds at the initial rate.
+        const elapsed = await passThrough(group.throttle(), Buffer.alloc(2000), () => group.setRate(2000))
+        expect(elapsed).toBeGreaterThan(600)
+    })
+})
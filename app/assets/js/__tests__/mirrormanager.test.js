@@ -0,0 +1,113 @@
+jest.mock('../databasemanager', () => {
+    const mirrors = new Map()
+    return {
+        MirrorDBManager: {
+            get: jest.fn(host => mirrors.get(host)),
+            put: jest.fn(mirror => mirrors.set(mirror.host, {...mirror})),
+            clear: () => mirrors.clear()
+        }
+    }
+})
+
+const {MirrorDBManager} = require('../databasemanager')
+const MirrorManager = require('../mirrormanager')
+
+beforeEach(() => {
+    MirrorDBManager.clear()
+    MirrorDBManager.put.mockClear()
+})
+
+describe('benching', () => {
+    test('benches a host after three failures in a row', () => {
+        MirrorManager.reportFailure('https://a.example.com/file')
+        MirrorManager.reportFailure('https://a.example.com/other')
+        expect(MirrorManager.isBenched('https://a.example.com/file')).toBe(false)
+        MirrorManager.reportFailure('https://a.example.com/file')
+        expect(MirrorManager.isBenched('https://a.example.com/file')).toBe(true)
+    })
+
+    test('a success resets the failures in a row', () => {
+        MirrorManager.reportFailure('https://a.example.com/file')
+        MirrorManager.reportFailure('https://a.example.com/file')
+        MirrorManager.reportSuccess('https://a.example.com/file', 1000, 1000, 10)
+        MirrorManager.reportFailure('https://a.example.com/file')
+        expect(MirrorManager.isBenched('https://a.example.com/file')).toBe(false)
+    })
+
+    test('the bench expires after the cooldown', () => {
+        const now = Date.now()
+        const spy = jest.spyOn(Date, 'now').mockReturnValue(now)
+        try {
+            for (let i = 0; i < 3; i++) {
+                MirrorManager.reportFailure('https://a.example.com/file')
+            }
+            expect(MirrorManager.isBenched('https://a.example.com/file')).toBe(true)
+            spy.mockReturnValue(now + 15 * 60 * 1000 + 1)
+            expect(MirrorManager.isBenched('https://a.example.com/file')).toBe(false)
+        } finally {
+            spy.mockRestore()
+        }
+    })
+})
+
+describe('sortUrls', () => {
+    test('puts the mirror with the best score first within each protocol', () => {
+        MirrorManager.reportSuccess('https://slow.example.com/file', 1000, 1000, 0)
+        MirrorManager.reportSuccess('https://fast.example.com/file', 100000, 1000, 0)
+        expect(MirrorManager.sortUrls([
+            'https://slow.example.com/file',
+            'torrent://magnet',
+            'https://fast.example.com/file'
+        ])).toEqual([
+            'https://fast.example.com/file',
+            'https://slow.example.com/file',
+            'torrent://magnet'
+        ])
+    })
+
+    test('drops benched mirrors', () => {
+        for (let i = 0; i < 3; i++) {
+            MirrorManager.reportFailure('https://bad.example.com/file')
+        }
+        expect(MirrorManager.sortUrls(['https://bad.example.com/file', 'https://good.example.com/file']))
+            .toEqual(['https://good.example.com/file'])
+    })
+
+    test('keeps benched mirrors if every mirror of the protocol is benched', () => {
+        for (let i = 0; i < 3; i++) {
+            MirrorManager.reportFailure('https://bad.example.com/file')
+        }
+        expect(MirrorManager.sortUrls(['https://bad.example.com/file'])).toEqual(['https://bad.example.com/file'])
+    })
+
+    test('gives unknown mirrors the average score', () => {
+        MirrorManager.reportSuccess('https://slow.example.com/file', 1000, 1000, 0)
+        MirrorManager.reportSuccess('https://fast.example.com/file', 100000, 1000, 0)
+        expect(MirrorManager.sortUrls([
+            'https://slow.example.com/file',
+            'https://new.example.com/file',
+            'https://fast.example.com/file'
+        ])).toEqual([
+            'https://fast.example.com/file',
+            'https://new.example.com/file',
+            'https://slow.example.com/file'
+        ])
+    })
+})
+
+describe('ephemeral hosts', () => {
+    test('are not saved to the database', () => {
+        MirrorManager.reportSuccess('http://192.168.1.20:4000/files/a', 1000, 1000, 10)
+        MirrorManager.reportFailure('http://[fe80::1]:4000/files/a')
+        expect(MirrorDBManager.put).not.toHaveBeenCalled()
+    })
+
+    test('are still scored and benched for the session', () => {
+        for (let i = 0; i < 3; i++) {
+            MirrorManager.reportFailure('http://192.168.1.21:4000/files/a')
+        }
+        MirrorManager.reportSuccess('http://192.168.1.22:4000/files/a', 1000, 1000, 10)
+        expect(MirrorManager.isBenched('http://192.168.1.21:4000/files/a')).toBe(true)
+        expect(MirrorManager.getScore('http://192.168.1.22:4000/files/a')).not.toBeNull()
+    })
+})
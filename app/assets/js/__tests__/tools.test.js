@@ -0,0 +1,25 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+const {Util} = require('../helpers')
+const TOOLS_MANIFEST = require('../../tools.json')
+
+const TOOLS_DIR = path.join(__dirname, '..', '..', '..', '..', 'tools')
+
+function listTools(dir, prefix = '') {
+    return fs.readdirSync(dir, {withFileTypes: true}).flatMap(entry => entry.isDirectory()
+        ? listTools(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+        : [`${prefix}${entry.name}`])
+}
+
+describe('tools manifest', () => {
+    test('lists every bundled tool', () => {
+        expect(Object.keys(TOOLS_MANIFEST).sort()).toEqual(listTools(TOOLS_DIR).sort())
+    })
+
+    test.each(Object.entries(TOOLS_MANIFEST))('%s matches its checksum', async (toolName, checksumUri) => {
+        const checksum = Util.parseChecksum(checksumUri)
+        const toolFile = path.join(TOOLS_DIR, ...toolName.split('/'))
+        expect(await Util.validateLocal(toolFile, checksum.algo, checksum.hash)).toBe(true)
+    })
+})
@@ -0,0 +1,96 @@
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+
+jest.mock('parse-torrent', () => jest.fn(torrentFile => JSON.parse(torrentFile.toString())), {virtual: true})
+jest.mock('fs-chunk-store', () => jest.fn(), {virtual: true})
+jest.mock('webtorrent/lib/webconn', () => require('events'), {virtual: true})
+jest.mock('webtorrent', () => {
+    const EventEmitter = require('events')
+    return class WebTorrent {
+        constructor() {
+            this.torrents = []
+        }
+
+        add(parsedTorrent, opts, cb) {
+            const torrent = new EventEmitter()
+            Object.assign(torrent, {infoHash: parsedTorrent.infoHash, name: parsedTorrent.name, uploaded: 0, uploadSpeed: 0})
+            this.torrents.push(torrent)
+            // Torrents named 'broken' fail to start.
+            process.nextTick(() => parsedTorrent.name === 'broken' ? torrent.emit('error', new Error('Broken torrent')) : cb(torrent))
+            return torrent
+        }
+    }
+}, {virtual: true})
+jest.mock('../databasemanager', () => ({
+    TorrentDBManager: {
+        getAll: jest.fn(),
+        remove: jest.fn()
+    },
+    ValidationDBManager: {
+        get: jest.fn()
+    }
+}))
+jest.mock('../bandwidthmanager', () => ({
+    getLimits: jest.fn(() => ({download: Number.MAX_VALUE, upload: Number.MAX_VALUE})),
+    watch: jest.fn()
+}))
+jest.mock('../configmanager', () => ({}))
+jest.mock('../mirrormanager', () => ({}))
+jest.mock('../proxymanager', () => ({
+    getAgent: jest.fn(() => null)
+}))
+
+const {TorrentDBManager, ValidationDBManager} = require('../databasemanager')
+const {TorrentManager} = require('../torrentmanager')
+
+describe('TorrentManager.startAll', () => {
+    let tmpDir
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'torrentmanager-'))
+    })
+
+    afterEach(() => fs.remove(tmpDir))
+
+    async function createRow(name, {unfinished = 0, exists = true} = {}) {
+        const targetPath = path.join(tmpDir, name)
+        if (exists) {
+            await fs.writeFile(targetPath, 'content')
+        }
+        const torrentFile = Buffer.from(JSON.stringify({infoHash: `hash-${name}`, name, length: 7}))
+        return {path: JSON.stringify(targetPath), torrentdata: torrentFile.toString('base64'), unfinished, targetPath}
+    }
+
+    test('seeds the valid files and reports the ones which failed', async () => {
+        const rows = [
+            await createRow('good'),
+            await createRow('broken'),
+            await createRow('missing', {exists: false}),
+            await createRow('unfinished', {unfinished: 1})
+        ]
+        const validated = new Map()
+        for (const row of rows.slice(0, 2)) {
+            const stats = await fs.stat(row.targetPath)
+            validated.set(row.targetPath, {size: stats.size, mtime: stats.mtimeMs, inode: String(stats.ino)})
+        }
+        ValidationDBManager.get.mockImplementation(filePath => validated.get(filePath))
+        TorrentDBManager.getAll.mockReturnValue(rows)
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+        try {
+            const manager = new TorrentManager()
+            await manager.startAll()
+
+            expect(manager.getSeedingState().map(state => state.infoHash)).toEqual(['hash-good'])
+            expect(TorrentDBManager.remove).toHaveBeenCalledWith(path.join(tmpDir, 'missing'))
+            expect(warn).toHaveBeenCalledWith(expect.anything(), expect.anything(),
+                `Failed to restore seeding of ${path.join(tmpDir, 'broken')}`, expect.any(Error))
+            expect(log).toHaveBeenCalledWith(expect.anything(), expect.anything(), 'Restored seeding of 1 of 2 files')
+        } finally {
+            log.mockRestore()
+            warn.mockRestore()
+        }
+    })
+})
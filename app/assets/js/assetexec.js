@@ -5,6 +5,8 @@ if (target == null) {
     process.exit(1)
 }
 let tracker = new target(...(process.argv.splice(3)))
+// The requests need the proxy password, which is read from the keychain.
+const proxyPasswordLoaded = require('./configmanager').loadProxyPassword()
 
 // process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0'
 
@@ -40,7 +42,8 @@ function assignListeners() {
 
 assignListeners()
 
-process.on('message', (msg) => {
+process.on('message', async (msg) => {
+    await proxyPasswordLoaded
     if (msg.task === 'execute') {
         const func = msg.function
         let nS = tracker[func] // Nonstatic context
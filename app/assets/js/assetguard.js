@@ -12,6 +12,7 @@ const xml = require('fast-xml-parser')
 const _ = require('lodash')
 const {promisify} = require('util')
 const stream = require('stream')
+const si = require('systeminformation')
 
 const reg = (process.platform === 'win32') ? require('native-reg') : null
 
@@ -19,11 +20,14 @@ const ConfigManager = require('./configmanager')
 const DistroManager = require('./distromanager')
 const DumpsManager = require('./dumpsmanager')
 const FetchManager = require('./fetchmanager')
+const ProxyManager = require('./proxymanager')
 const VersionManager = require('./versionsmanager')
+const StatsManager = require('./statsmanager')
 const {DumpsReporter} = require('./reportmanager')
 
 const {Util} = require('./helpers')
 const {Asset, XmlModifierRule} = require('./assets')
+const {TorrentDBManager} = require('./databasemanager')
 
 
 /**
@@ -74,6 +78,8 @@ class AssetGuard extends EventEmitter {
         this.files = new DLTracker([], 0)
         this.forge = new DLTracker([], 0)
 
+        this.downloadController = new FetchManager.DownloadController()
+
         this.torrentsProxy = new EventEmitter()
         this.torrentsProxy.on('torrents', (...args) => {
             this.emit('torrents', args)
@@ -82,6 +88,11 @@ class AssetGuard extends EventEmitter {
         /** @type {Array<VersionManager.Modifier>} */
         this.modifiers = []
         this.launcherVersion = launcherVersion
+        /**
+         * Validation done by planEverything, reused once by validateEverything.
+         * @type {?{versionIds: Array.<string>, deep: boolean, libraries: DLTracker, fetcher: Object}}
+         */
+        this.plannedValidation = null
 
 
         if (!ConfigManager.isLoaded()) {
@@ -106,17 +117,19 @@ class AssetGuard extends EventEmitter {
             }
         }
 
-        const rm = async (dirPath, requireds) => {
+        const listStale = async (dirPath, requireds) => {
             return (await fs.readdir(dirPath, {withFileTypes: true}))
                 .filter(file => !requireds.has(file.name))
                 .map(file => path.join(dirPath, file.name))
-                .map(filePath => fs.remove(filePath))
         }
 
-        await Promise.all([
-            ...await rm(this.applicationsPath, requiredAppVersion),
-            ...await rm(this.instancesPath, requiredVersion)
-        ])
+        const stalePaths = [
+            ...await listStale(this.applicationsPath, requiredAppVersion),
+            ...await listStale(this.instancesPath, requiredVersion)
+        ]
+        await Promise.all(stalePaths.map(filePath => fs.remove(filePath)))
+        // The removed files are not seeded on the next startup.
+        TorrentDBManager.removeUnder(stalePaths)
     }
 
     async generatePaths(applicationVersion, assetsVersion, fileType) {
@@ -200,7 +213,8 @@ class AssetGuard extends EventEmitter {
                     headers: {
                         'User-Agent': `BladeLauncher/${this.launcherVersion}`,
                         'Authorization': `Bearer ${ConfigManager.getSelectedAccount().accessToken}`
-                    }
+                    },
+                    agent: ProxyManager.getGotAgent()
                 })
                 await ConfigManager.setSettingsFileHashes(preferencesHash, abilityBarHash)
             } catch (error) {
@@ -213,7 +227,8 @@ class AssetGuard extends EventEmitter {
                         'userid': ConfigManager.getSelectedAccount().uuid,
                         'User-Agent': `BladeLauncher/${this.launcherVersion}`,
                         'Authorization': `Bearer ${ConfigManager.getSelectedAccount().accessToken}`
-                    }
+                    },
+                    agent: ProxyManager.getGotAgent()
                 })
                 const res = JSON.parse(response.body)
                 await fs.promises.writeFile(preferencesPath, res.preferences)
@@ -328,7 +343,7 @@ class AssetGuard extends EventEmitter {
                     .on('error', (error) => {
                         log.error(`Cannot write file to ${path}: ${error.message}`)
                     })
-                const downloadStream = got.stream(url)
+                const downloadStream = got.stream(url, {agent: ProxyManager.getGotAgent()})
                     .on('error', (error) => {
                         log.error(`Failed to download ${url}. ${error.message}`)
                     })
@@ -418,11 +433,14 @@ class AssetGuard extends EventEmitter {
      * queue for the 'libraries' identifier.
      *
      * @param {Object} versionMeta The version data for the assets.
-     * @returns {Promise.<void>} An empty promise to indicate the async processing has completed.
+     * @param {boolean} deep Optional. If true, every file is hashed regardless of the validation cache.
+     * @returns {Promise.<{missing: Array.<string>, corrupted: Array.<string>}>} Ids of the files queued for download.
      */
-    async validateVersion(versionMeta) {
+    async validateVersion(versionMeta, deep = false) {
         const self = this
 
+        const missing = []
+        const corrupted = []
         const libDlQueue = []
         let dlSize = 0
         let currentId = 0
@@ -436,9 +454,14 @@ class AssetGuard extends EventEmitter {
                     return
                 }
 
-                if (!await lib.validateLocal()) {
+                if (!await lib.validateLocal(deep)) {
                     dlSize += (lib.size * 1)
                     libDlQueue.push(lib)
+                    if (await fs.pathExists(lib.targetPath)) {
+                        corrupted.push(lib.id)
+                    } else {
+                        missing.push(lib.id)
+                    }
                 }
 
                 currentId++
@@ -448,6 +471,7 @@ class AssetGuard extends EventEmitter {
 
         // Check validity of each library. If the hashs don't match, download the library.
         self.libraries = new DLTracker(libDlQueue, dlSize)
+        return {missing, corrupted}
     }
 
     async validateModifiers(versionMeta) {
@@ -469,15 +493,148 @@ class AssetGuard extends EventEmitter {
         ))
     }
 
+    /**
+     * Find the free space of the volume which holds the given path.
+     *
+     * @param {string} targetPath
+     * @returns {Promise.<?number>} Free space in bytes, null if the volume is unknown.
+     */
+    static async getFreeSpace(targetPath) {
+        const normalize = process.platform === 'win32' ? p => p.toLowerCase() : p => p
+        const resolved = normalize(path.resolve(targetPath))
+        let volume = null
+        for (const fsInfo of await si.fsSize()) {
+            const mount = fsInfo.mount && normalize(fsInfo.mount)
+            if (mount && resolved.startsWith(mount) && (volume == null || mount.length > volume.mount.length)) {
+                volume = fsInfo
+            }
+        }
+        if (volume == null) {
+            return null
+        }
+        return volume.available != null ? volume.available : volume.size - volume.used
+    }
+
+    /**
+     * Estimate the peak disk space needed by the queued downloads. Any fetcher may write the
+     * whole file, torrents even preallocate it up front, so each asset needs its full size minus
+     * what is already on disk. Patched assets also keep the downloaded patch next to the output.
+     *
+     * @param {Array.<string>} identifiers The DLTracker identifiers to account.
+     * @returns {Promise.<number>} Required space in bytes.
+     */
+    async estimateRequiredSpace(identifiers = ['assets', 'libraries', 'files', 'forge']) {
+        const sizeOnDisk = async (filePath) => {
+            try {
+                return (await fs.stat(filePath)).size
+            } catch (e) {
+                return 0
+            }
+        }
+
+        let required = 0
+        for (const identifier of identifiers) {
+            for (const asset of this[identifier].dlqueue) {
+                const targetPath = asset.targetPath || asset.to
+                let patchSize = 0
+                for (const url of asset.urls || []) {
+                    if (!url.startsWith('patch:')) {
+                        continue
+                    }
+                    const params = new URL(url).searchParams
+                    const patchLengths = params.getAll('xl').map(length => Number(length) || 0)
+                    let size = patchLengths.reduce((a, b) => a + b, 0)
+                    if (patchLengths.length === 1) {
+                        size -= await sizeOnDisk(targetPath + '.patch')
+                    } else {
+                        // Patch chains also keep up to two intermediate results at a time.
+                        const resultLengths = params.getAll('rl').map(length => Number(length) || 0)
+                        size += Math.max(0, ...resultLengths) * Math.min(resultLengths.length, 2)
+                    }
+                    patchSize = Math.max(patchSize, size)
+                }
+                required += Math.max(0, asset.size - await sizeOnDisk(targetPath)) + Math.max(0, patchSize)
+            }
+        }
+        return required
+    }
+
+    /**
+     * Make sure the data directory can hold the queued downloads. If it can not, an 'error'
+     * event with the 'diskspace' context is emitted with the details of the shortfall.
+     */
+    async validateDiskSpace() {
+        const dataDirectory = ConfigManager.getDataDirectory()
+        let available
+        try {
+            available = await AssetGuard.getFreeSpace(dataDirectory)
+        } catch (err) {
+            log.warn('Failed to get free disk space, skipping the check.', err)
+            return
+        }
+        if (available == null) {
+            log.warn(`Unknown volume of ${dataDirectory}, skipping the disk space check.`)
+            return
+        }
+
+        const required = await this.estimateRequiredSpace()
+        if (required > available) {
+            const details = {
+                path: dataDirectory,
+                required,
+                available,
+                shortfall: required - available
+            }
+            log.error(`Not enough disk space in ${dataDirectory}: ${required} bytes required, ${available} available.`)
+            this.emit('error', 'diskspace', details)
+            throw 'Not enough disk space'
+        }
+    }
+
+    /**
+     * Describe where each queued file would come from, without downloading anything.
+     *
+     * @param fetcher
+     * @param {Array.<string>} identifiers Optional. The identifiers of the AssetGuard DLTrackers to plan.
+     * @returns {Promise.<{files: Array.<Object>, sources: Object.<string, {count: number, bytes: number}>, network: number, local: number, unavailable: Array.<string>}>}
+     */
+    async planDownloads(fetcher, identifiers = ['assets', 'libraries', 'files', 'forge']) {
+        const assets = _.flatMap(identifiers, identifier => this[identifier].dlqueue)
+        const files = []
+        await async.eachLimit(assets, 5, async (asset) => {
+            files.push(await fetcher.plan(asset))
+        })
+
+        const plan = {files, sources: {}, network: 0, local: 0, unavailable: []}
+        for (const file of files) {
+            if (file.source == null) {
+                plan.unavailable.push(file.id)
+                continue
+            }
+            const source = plan.sources[file.source] || {count: 0, bytes: 0}
+            source.count++
+            source.bytes += file.bytes
+            plan.sources[file.source] = source
+            if (file.network) {
+                plan.network += file.bytes
+            } else {
+                plan.local += file.bytes
+            }
+        }
+        return plan
+    }
+
     /**
      * Initiate an async download process for an AssetGuard DLTracker.
      *
      * @param fetcher
      * @param {string} identifier The identifier of the AssetGuard DLTracker.
      * @param {number} limit Optional. The number of async processes to run in parallel.
+     * @param {function(Array.<{id: string, reason: string}>, boolean)} onDone Optional. Called with the failed
+     * assets and whether the processing was cancelled once the queue is processed.
      * @returns {boolean} True if the process began, otherwise false.
      */
-    startAsyncProcess(fetcher, identifier, limit = 5) {
+    startAsyncProcess(fetcher, identifier, limit = 5, onDone = () => {}) {
 
         const self = this
         const dlTracker = this[identifier]
@@ -487,42 +644,77 @@ class AssetGuard extends EventEmitter {
             return false
         }
 
-        async.eachLimit(dlQueue, limit, (asset, cb) => {
-            let assetProgress = 0
-            fetcher.pull(asset).then(req => {
-                req.on('error', cb)
-                req.on('download', (bytes) => {
-                    self.progress += bytes
-                    assetProgress += bytes
-                    self.emit('progress', 'download', self.progress, self.totaldlsize)
-                })
-                req.on('reset', () => {
+        /**
+         * Pull every asset of the queue, a failed asset does not stop the others.
+         *
+         * @param {Array.<Asset>} queue
+         * @returns {Promise.<Array.<{asset: Asset, reason: string}>>} The failed assets.
+         */
+        const pullAll = async (queue) => {
+            const failed = []
+            await async.eachLimit(queue, limit, (asset, cb) => {
+                let assetProgress = 0
+                const fail = (err) => {
+                    // The asset is counted again if it is retried.
                     self.progress -= assetProgress
                     assetProgress = 0
-                })
-                req.on('done', () => {
-                    if (dlTracker.callback != null) {
-                        dlTracker.callback.apply(dlTracker, [asset, self])
-                    }
+                    failed.push({asset, reason: err instanceof Error ? err.message : String(err)})
                     cb()
-                })
-            }, cb)
-        }, (err) => {
-            if (err) {
-                const msg = `An item in ${identifier} failed to process: ${err}`
+                }
+                fetcher.pull(asset).then(req => {
+                    req.on('error', fail)
+                    const onProgress = (bytes) => {
+                        self.progress += bytes
+                        assetProgress += bytes
+                        self.emit('progress', 'download', self.progress, self.totaldlsize)
+                    }
+                    req.on('download', onProgress)
+                    req.on('resume', onProgress)
+                    req.on('reset', () => {
+                        self.progress -= assetProgress
+                        assetProgress = 0
+                    })
+                    req.on('done', () => {
+                        if (dlTracker.callback != null) {
+                            dlTracker.callback.apply(dlTracker, [asset, self])
+                        }
+                        cb()
+                    })
+                }, fail)
+            })
+            return failed
+        }
+
+        pullAll(dlQueue).then(async (failed) => {
+            if (failed.length > 0 && !self.downloadController.isCancelled()) {
+                log.warn(`${failed.length} of ${identifier} failed to process, trying them once more`)
+                return pullAll(failed.map(({asset}) => asset))
+            }
+            return failed
+        }).then((failed) => {
+            const details = failed.map(({asset, reason}) => ({id: asset.id, reason}))
+            if (failed.length > 0 && self.downloadController.isCancelled()) {
+                onDone(details, true)
+                log.info(`Processing of ${identifier} was cancelled`)
+                self.emit('error', 'cancelled', `Processing of ${identifier} was cancelled`)
+                return
+            }
+            if (failed.length > 0) {
+                onDone(details, false)
+                const msg = `${failed.length} of ${identifier} failed to process: ${details.map(({id, reason}) => `${id} (${reason})`).join(', ')}`
                 log.error(msg)
-                self.emit('error', 'download', msg)
+                self.emit('error', 'download', {message: msg, identifier, failed: details})
                 return
             }
 
             log.info(`All ${identifier} have been processed successfully`)
 
             self[identifier] = new DLTracker([], 0)
+            onDone([], false)
 
             if (self.progress >= self.totaldlsize) {
                 self.emit('complete', 'download')
             }
-
         })
 
         return true
@@ -539,6 +731,8 @@ class AssetGuard extends EventEmitter {
      * @param {Server} server
      * @param fetcher
      * @param {Array.<{id: string, limit: number}>} identifiers Optional. The identifiers to process and corresponding parallel async task limit.
+     * @returns {Promise} Rejects once every queue is processed if any asset failed. The error lists
+     * the failed assets in 'failed' and tells whether the downloads were cancelled in 'cancelled'.
      */
     processDlQueues(server, fetcher, identifiers = [
         {id: 'assets', limit: 20},
@@ -554,18 +748,55 @@ class AssetGuard extends EventEmitter {
             this.totaldlsize = 0
             this.progress = 0
 
+            let files = 0
             for (let iden of identifiers) {
                 const queue = this[iden.id]
                 this.totaldlsize += queue.dlsize
+                files += queue.dlqueue.length
+            }
+            if (files > 0) {
+                StatsManager.startSession(files)
             }
 
-            this.once('complete', (data) => {
+            // Every queue reports its failure, the session is finished by the first result only.
+            // The promise is rejected once the other queues are processed, so the caller learns every failed asset.
+            let isFinished = false
+            const finishSession = (result) => {
+                if (!isFinished) {
+                    isFinished = true
+                    this.removeListener('complete', onComplete)
+                    if (files > 0) {
+                        StatsManager.finishSession(result)
+                    }
+                }
+            }
+            const onComplete = () => {
+                finishSession('complete')
                 resolve()
-            })
+            }
+            this.once('complete', onComplete)
+
+            let pending = 0
+            const failed = []
+            let cancelled = false
+            const onQueueDone = (queueFailed, queueCancelled) => {
+                failed.push(...queueFailed)
+                cancelled = cancelled || queueCancelled
+                if (queueFailed.length > 0) {
+                    finishSession(cancelled ? 'cancelled' : 'failed')
+                }
+                if (--pending === 0 && failed.length > 0) {
+                    const err = new Error(`${failed.length} files failed to download`)
+                    err.failed = failed
+                    err.cancelled = cancelled
+                    reject(err)
+                }
+            }
 
             for (let iden of identifiers) {
-                let r = this.startAsyncProcess(fetcher, iden.id, iden.limit)
+                let r = this.startAsyncProcess(fetcher, iden.id, iden.limit, onQueueDone)
                 if (r) {
+                    pending++
                     shouldFire = false
                 }
             }
@@ -580,22 +811,59 @@ class AssetGuard extends EventEmitter {
         })
     }
 
+    /**
+     * Pause every download in progress. Partial files are kept, so the downloads
+     * continue from where they stopped after resuming.
+     */
+    pauseDownloads() {
+        log.info('Pausing downloads')
+        this.downloadController.pause()
+    }
+
+    /**
+     * Resume paused downloads.
+     */
+    resumeDownloads() {
+        log.info('Resuming downloads')
+        this.downloadController.resume()
+    }
+
+    /**
+     * Cancel every download in progress. Partial files are kept for the next launch.
+     */
+    cancelDownloads() {
+        log.info('Cancelling downloads')
+        this.downloadController.cancel()
+    }
+
+    /**
+     * Resolve the server and its versions available for the selected release channels.
+     *
+     * @param {string} serverId
+     * @param {boolean} dev
+     */
+    async _loadServer(serverId, dev) {
+        DistroManager.setDevMode(dev)
+        const dI = await DistroManager.pullLocal()
+
+        const channels = ConfigManager.getReleaseChannels()
+        const server = dI.getServer(serverId, channels)
+        if (server === null) {
+            throw new Error(`Server is not available for selected channels: ${channels}`)
+        }
+
+        const versions = server.getVersions(channels)
+        if (versions.length < 1) {
+            throw new Error('Server do not have any available versions')
+        }
+        return {dI, server, versions}
+    }
+
     async validateEverything(serverId, dev = false) {
         try {
-            DistroManager.setDevMode(dev)
-            const dI = await DistroManager.pullLocal()
-
-            const channels = ConfigManager.getReleaseChannels()
-            const server = dI.getServer(serverId, channels)
-            if (server === null) {
-                throw new Error(`Server is not available for selected channels: ${channels}`)
-            }
+            const {dI, server, versions} = await this._loadServer(serverId, dev)
 
             // Validate Everything
-            const versions = server.getVersions(channels)
-            if (versions.length < 1) {
-                throw new Error('Server do not have any available versions')
-            }
             let [applicationMeta, assetsMeta] = await VersionManager.fetch(versions[0], this.launcherVersion)
 
             await this.validateLauncherVersion(applicationMeta)
@@ -612,12 +880,21 @@ class AssetGuard extends EventEmitter {
             //await this._stopAllTorrents()
 
             this.emit('validate', 'version')
-            await this.validateVersion([applicationMeta, assetsMeta])
+            const planned = this._takePlannedValidation([applicationMeta, assetsMeta], ConfigManager.getDeepVerify())
+            if (planned != null) {
+                log.info('Reusing the validation of the accepted download plan')
+                this.libraries = planned.libraries
+            } else {
+                await this.validateVersion([applicationMeta, assetsMeta], ConfigManager.getDeepVerify())
+            }
             this.emit('validate', 'libraries')
             await this.validateModifiers(applicationMeta)
             this.torrentsProxy.setMaxListeners(_([applicationMeta, assetsMeta]).map('downloads').map(_.size).sum(_.values))
-            const fetcher = await FetchManager.init(ConfigManager.getSelectedAccount(), [applicationMeta, assetsMeta], this.torrentsProxy, this.launcherVersion)
+            const fetcher = planned != null
+                ? planned.fetcher
+                : await FetchManager.init(ConfigManager.getSelectedAccount(), [applicationMeta, assetsMeta], this.torrentsProxy, this.launcherVersion, this.downloadController)
             await this.validateConfig()
+            await this.validateDiskSpace()
             this.emit('validate', 'files')
             await this.processDlQueues(server, fetcher)
 
@@ -634,7 +911,11 @@ class AssetGuard extends EventEmitter {
 
             return {
                 versionData: applicationMeta,
-                forgeData: {}
+                forgeData: {},
+                gameDirectories: [
+                    path.join(this.applicationsPath, applicationMeta.id),
+                    path.join(this.instancesPath, assetsMeta.id)
+                ]
             }
 
         } catch (err) {
@@ -647,6 +928,174 @@ class AssetGuard extends EventEmitter {
         }
     }
 
+    /**
+     * Take the validation done by planEverything if it was done for the same versions and
+     * at least as thoroughly. It is used once, later validations check the files again.
+     *
+     * @param {Array.<Object>} versionMeta The version data for the assets.
+     * @param {boolean} deep Whether a deep validation is required.
+     * @returns {?{libraries: DLTracker, fetcher: Object}}
+     */
+    _takePlannedValidation(versionMeta, deep) {
+        const planned = this.plannedValidation
+        this.plannedValidation = null
+        if (planned == null || (deep && !planned.deep)
+            || !_.isEqual(planned.versionIds, versionMeta.map(meta => meta.id))) {
+            return null
+        }
+        return planned
+    }
+
+    /**
+     * Validate the game files like validateEverything does, but only report how the missing
+     * and corrupted files would be fetched instead of fetching them.
+     *
+     * @param {string} serverId
+     * @param {boolean} dev
+     * @returns {Promise.<{plan: ?Object, error: ?string}>}
+     */
+    async planEverything(serverId, dev = false) {
+        try {
+            const {versions} = await this._loadServer(serverId, dev)
+
+            const [applicationMeta, assetsMeta] = await VersionManager.fetch(versions[0], this.launcherVersion)
+            await this.validateLauncherVersion(applicationMeta)
+
+            this.emit('validate', 'version')
+            const deep = ConfigManager.getDeepVerify()
+            this.plannedValidation = null
+            await this.validateVersion([applicationMeta, assetsMeta], deep)
+            const fetcher = await FetchManager.init(ConfigManager.getSelectedAccount(), [applicationMeta, assetsMeta], this.torrentsProxy, this.launcherVersion, this.downloadController)
+            const plan = await this.planDownloads(fetcher)
+            log.info(`Download plan: ${plan.files.length} files, ${plan.network} bytes over the network, ${plan.local} bytes copied locally`)
+            // Once the plan is accepted validateEverything downloads this queue instead of checking every file again.
+            this.plannedValidation = {
+                versionIds: [applicationMeta.id, assetsMeta.id],
+                deep,
+                libraries: this.libraries,
+                fetcher
+            }
+            return {plan}
+        } catch (err) {
+            log.error(err)
+            return {
+                plan: null,
+                error: err.message || String(err)
+            }
+        }
+    }
+
+    /**
+     * Check every game file by its full hash and download again the missing or corrupted ones.
+     * Unlike validateEverything, this one refreshes the version descriptors and never prepares
+     * the game for launch.
+     *
+     * @param {string} serverId
+     * @param {boolean} dev
+     * @returns {Promise.<{report: ?Object, error: ?string}>}
+     */
+    async repairEverything(serverId, dev = false) {
+        try {
+            const {server, versions} = await this._loadServer(serverId, dev)
+
+            const [applicationMeta, assetsMeta] = await VersionManager.fetch(versions[0], this.launcherVersion, true)
+            await this.validateLauncherVersion(applicationMeta)
+
+            this.emit('validate', 'version')
+            const {missing, corrupted} = await this.validateVersion([applicationMeta, assetsMeta], true)
+            log.info(`Repair found ${missing.length} missing and ${corrupted.length} corrupted files`)
+            this.emit('validate', 'libraries')
+            await this.validateModifiers(applicationMeta)
+            this.torrentsProxy.setMaxListeners(_([applicationMeta, assetsMeta]).map('downloads').map(_.size).sum(_.values))
+            const fetcher = await FetchManager.init(ConfigManager.getSelectedAccount(), [applicationMeta, assetsMeta], this.torrentsProxy, this.launcherVersion, this.downloadController)
+            await this.validateConfig()
+            await this.validateDiskSpace()
+            this.emit('validate', 'files')
+            // The files which could not be downloaded are reported, the others are repaired.
+            let failed = []
+            try {
+                await this.processDlQueues(server, fetcher)
+            } catch (err) {
+                if (err.failed == null || err.cancelled) {
+                    throw err
+                }
+                failed = err.failed.map(({id}) => id)
+            }
+
+            await this.generatePaths(applicationMeta, assetsMeta, 'json')
+            await this.generatePaths(applicationMeta, assetsMeta, 'xml')
+
+            return {
+                report: {
+                    checked: _([applicationMeta, assetsMeta]).map('downloads').map(_.size).sum(),
+                    missing,
+                    corrupted,
+                    repaired: [...missing, ...corrupted].filter(id => !failed.includes(id)),
+                    failed
+                }
+            }
+        } catch (err) {
+            log.error(err)
+            return {
+                report: null,
+                error: err.message || String(err)
+            }
+        }
+    }
+
+    /**
+     * Download the missing and outdated files of the latest version in the background, so
+     * they are in place for the next launch. Nothing is prepared for launch, neither the
+     * modifiers are applied nor the old versions removed.
+     *
+     * @param {string} serverId
+     * @param {boolean} dev
+     * @param {Array.<string>} busyDirectories Optional. Directories of a running game, their files are left untouched.
+     * @param {number} speedLimit Optional. Bandwidth cap in KB/s shared by all downloads, 0 if there is no cap.
+     * @returns {Promise.<{report: ?{updated: Array.<string>, skipped: Array.<string>}, error: ?string}>}
+     */
+    async updateEverything(serverId, dev = false, busyDirectories = [], speedLimit = 0) {
+        try {
+            const {server, versions} = await this._loadServer(serverId, dev)
+
+            const [applicationMeta, assetsMeta] = await VersionManager.fetch(versions[0], this.launcherVersion)
+            await this.validateLauncherVersion(applicationMeta)
+
+            this.emit('validate', 'version')
+            await this.validateVersion([applicationMeta, assetsMeta])
+
+            const isBusy = (filePath) => busyDirectories.some(directory => filePath.startsWith(directory + path.sep))
+            const skipped = this.libraries.dlqueue.filter(asset => isBusy(asset.targetPath))
+            const queue = this.libraries.dlqueue.filter(asset => !isBusy(asset.targetPath))
+            this.libraries = new DLTracker(queue, _.sumBy(queue, asset => asset.size * 1))
+            if (skipped.length > 0) {
+                log.info(`${skipped.length} files are used by the running game, they are updated on the next launch`)
+            }
+
+            if (speedLimit > 0) {
+                this.downloadController.setSpeedLimit(speedLimit)
+            }
+            this.torrentsProxy.setMaxListeners(_([applicationMeta, assetsMeta]).map('downloads').map(_.size).sum(_.values))
+            const fetcher = await FetchManager.init(ConfigManager.getSelectedAccount(), [applicationMeta, assetsMeta], this.torrentsProxy, this.launcherVersion, this.downloadController)
+            await this.validateDiskSpace()
+            this.emit('validate', 'files')
+            await this.processDlQueues(server, fetcher)
+
+            return {
+                report: {
+                    updated: queue.map(asset => asset.id),
+                    skipped: skipped.map(asset => asset.id)
+                }
+            }
+        } catch (err) {
+            log.error(err)
+            return {
+                report: null,
+                error: err.message || String(err)
+            }
+        }
+    }
+
     torrentsNotification(cmd, ...args) {
         this.torrentsProxy.emit.apply(this.torrentsProxy, ['torrentsNotification', cmd, ...args])
     }
@@ -2,6 +2,7 @@ const fs = require('fs-extra')
 const path = require('path')
 const xml = require('fast-xml-parser')
 const {Util} = require('./helpers')
+const {ValidationDBManager} = require('./databasemanager')
 
 
 /** Class representing a base asset. */
@@ -82,7 +83,16 @@ class Asset {
 /** Class representing a library. */
 class File extends Asset {
 
-    constructor(id, checksum, size, urls, path, targetPath) {
+    /**
+     * @param {string} id
+     * @param {{algo: string, hash: string}} checksum
+     * @param {number} size
+     * @param {Array.<string>} urls
+     * @param {string} path
+     * @param {string} targetPath
+     * @param {?Object.<string, number>} fetcherPriorities Optional. Priorities of the fetchers by url scheme.
+     */
+    constructor(id, checksum, size, urls, path, targetPath, fetcherPriorities = null) {
         super(id, checksum.hash, size, targetPath)
         this.id = id
         this.checksum = checksum
@@ -90,28 +100,37 @@ class File extends Asset {
         this.urls = urls
         this.path = path
         this.targetPath = targetPath
+        this.fetcherPriorities = fetcherPriorities
     }
 
     /**
-     * Validate that a file exists and matches a given hash value.
+     * Validate that a file exists and matches a given hash value. A file which was verified
+     * before is trusted without hashing while its size, modification time and inode stay the same.
      *
+     * @param {boolean} deep Optional. If true, the validation cache is ignored and the file is hashed.
      * @returns {boolean} True if the file exists and calculated hash matches the given hash, otherwise false.
      */
-    async validateLocal() {
+    async validateLocal(deep = false) {
         try {
             if (!await fs.pathExists(this.targetPath)) {
                 return false
             }
+            const stats = await fs.stat(this.targetPath)
             if (this.size != null) {
-                const stats = await fs.stat(this.targetPath)
                 const currentSize = stats.size
                 if (currentSize !== this.size)
                     return false
             }
             if (this.checksum != null && this.checksum.hash != null) {
+                if (!deep && this._isCachedValid(stats)) {
+                    return true
+                }
                 const currentHash = await Util.calculateHash(this.targetPath, this.checksum.algo)
-                if (currentHash !== this.checksum.hash)
+                if (currentHash !== this.checksum.hash) {
+                    this._forgetValid()
                     return false
+                }
+                this._cacheValid(stats)
             }
             return true
         } catch (e) {
@@ -119,6 +138,57 @@ class File extends Asset {
             return false
         }
     }
+
+    /**
+     * Record that the file on disk matches the checksum, e.g. when it was hashed while downloading.
+     */
+    async markValid() {
+        try {
+            this._cacheValid(await fs.stat(this.targetPath))
+        } catch (e) {
+            console.warn(`Failed to cache validation of ${this.targetPath}`, e)
+        }
+    }
+
+    _checksumUri() {
+        return `${this.checksum.algo}:${this.checksum.hash}`
+    }
+
+    _isCachedValid(stats) {
+        try {
+            const entry = ValidationDBManager.get(this.targetPath)
+            return entry != null
+                && entry.size === stats.size
+                && entry.mtime === stats.mtimeMs
+                && entry.inode === String(stats.ino)
+                && entry.checksum === this._checksumUri()
+        } catch (e) {
+            console.warn(`Failed to read validation cache of ${this.targetPath}`, e)
+            return false
+        }
+    }
+
+    _cacheValid(stats) {
+        try {
+            ValidationDBManager.put({
+                path: this.targetPath,
+                size: stats.size,
+                mtime: stats.mtimeMs,
+                inode: String(stats.ino),
+                checksum: this._checksumUri()
+            })
+        } catch (e) {
+            console.warn(`Failed to cache validation of ${this.targetPath}`, e)
+        }
+    }
+
+    _forgetValid() {
+        try {
+            ValidationDBManager.remove(this.targetPath)
+        } catch (e) {
+            console.warn(`Failed to clear validation cache of ${this.targetPath}`, e)
+        }
+    }
 }
 
 
@@ -0,0 +1,88 @@
+const EventEmitter = require('events')
+
+const ConfigManager = require('./configmanager')
+const LoggerUtil = require('./loggerutil')
+const {Util} = require('./helpers')
+
+const logger = LoggerUtil('%c[BandwidthManager]', 'color: #a02d2a; font-weight: bold')
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+/** @type {?{download: number, upload: number}} */
+let current = null
+let timer = null
+
+
+function _describe(limit) {
+    return limit === Number.MAX_VALUE ? 'unlimited' : `${limit} KB/s`
+}
+
+/**
+ * Check the limits again at the start of the next hour, the schedule does not change in between.
+ */
+function _scheduleCheck() {
+    const now = new Date()
+    const nextHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours() + 1)
+    timer = setTimeout(() => {
+        exports.refresh()
+        _scheduleCheck()
+    }, nextHour - now)
+    // The schedule alone must not keep the process alive.
+    if (typeof timer.unref === 'function') {
+        timer.unref()
+    }
+}
+
+/**
+ * Resolve the speed limits in effect at the given time. The first schedule entry
+ * which covers the hour wins, the static limits apply outside of the schedule.
+ *
+ * @param {Date} date Optional. Defaults to now.
+ * @returns {{download: number, upload: number}} Limits in KB/s, Number.MAX_VALUE if there is no limit.
+ */
+exports.getLimits = function (date = new Date()) {
+    const hour = date.getHours()
+    const entry = ConfigManager.getSpeedSchedule().find(e => Util.isHourWithin(hour, e.startHour, e.endHour))
+    return {
+        download: entry && entry.downloadLimit != null ? entry.downloadLimit : ConfigManager.getAssetDownloadSpeedLimit(),
+        upload: entry && entry.uploadLimit != null ? entry.uploadLimit : ConfigManager.getTorrentUploadSpeedLimit()
+    }
+}
+
+/**
+ * Resolve the limits again, e.g. after the settings were reloaded, and notify
+ * the watchers if they changed.
+ */
+exports.refresh = function () {
+    const limits = exports.getLimits()
+    if (current != null && current.download === limits.download && current.upload === limits.upload) {
+        return
+    }
+    current = limits
+    logger.info(`Speed limits: download ${_describe(limits.download)}, upload ${_describe(limits.upload)}`)
+    emitter.emit('change', limits)
+}
+
+/**
+ * Call the listener whenever the limits in effect change.
+ *
+ * @param {function({download: number, upload: number})} listener
+ * @returns {function()} Function which stops watching.
+ */
+exports.watch = function (listener) {
+    if (current == null) {
+        current = exports.getLimits()
+    }
+    emitter.on('change', listener)
+    if (timer == null) {
+        _scheduleCheck()
+    }
+    return () => {
+        emitter.removeListener('change', listener)
+        if (emitter.listenerCount('change') === 0) {
+            clearTimeout(timer)
+            timer = null
+        }
+    }
+}
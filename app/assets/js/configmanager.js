@@ -88,6 +88,32 @@ const DEFAULT_CONFIG = {
                 uploadLimit: Number.MAX_VALUE,
             },
             assetDownloadLimit: Number.MAX_VALUE,
+            speedSchedule: [],
+            segmentedDownload: {
+                segments: 4,
+                minSize: 64
+            },
+            deepVerify: false,
+            localSourceDirectory: null,
+            lanSharing: false,
+            fetcherPriorities: {},
+            retryPolicies: {},
+            proxy: {
+                autodetect: true,
+                url: '',
+                username: ''
+            },
+            backgroundUpdate: {
+                enabled: false,
+                interval: 60,
+                startHour: 2,
+                endHour: 7,
+                speedLimit: 1024
+            },
+            gameSession: {
+                mode: 'keep',
+                speedLimit: 128
+            },
             releaseChannels: ['stable', 'release']
         }
     },
@@ -656,6 +682,519 @@ exports.setAssetDownloadSpeedLimit = function (limit) {
     config.settings.launcher.assetDownloadLimit = limit
 }
 
+/**
+ * Retrieve the time-of-day speed limits, which override the static download and upload limits.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {Array.<{startHour: number, endHour: number, downloadLimit: ?number, uploadLimit: ?number}>} Entries
+ * of the schedule. Limits are in KB/s, Number.MAX_VALUE if there is no limit and null to keep the static one.
+ */
+exports.getSpeedSchedule = function (def = false) {
+    return !def ? config.settings.launcher.speedSchedule : DEFAULT_CONFIG.settings.launcher.speedSchedule
+}
+
+/**
+ * Change the time-of-day speed limits. The first entry which covers an hour wins.
+ *
+ * @param {Array.<{startHour: number, endHour: number, downloadLimit: ?number, uploadLimit: ?number}>} schedule
+ */
+exports.setSpeedSchedule = function (schedule) {
+    config.settings.launcher.speedSchedule = schedule
+}
+
+/**
+ * Retrieve the number of parallel connections used to download a single large file.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} Number of segments, 1 disables segmented downloading.
+ */
+exports.getDownloadSegments = function (def = false) {
+    return !def ? config.settings.launcher.segmentedDownload.segments : DEFAULT_CONFIG.settings.launcher.segmentedDownload.segments
+}
+
+/**
+ * Change the number of parallel connections used to download a single large file.
+ *
+ * @param {number} segments Number of segments, 1 disables segmented downloading.
+ */
+exports.setDownloadSegments = function (segments) {
+    config.settings.launcher.segmentedDownload.segments = Number.parseInt(segments)
+}
+
+/**
+ * Retrieve the minimum size of a file to be downloaded in segments.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} Minimum file size in MB.
+ */
+exports.getSegmentedDownloadMinSize = function (def = false) {
+    return !def ? config.settings.launcher.segmentedDownload.minSize : DEFAULT_CONFIG.settings.launcher.segmentedDownload.minSize
+}
+
+/**
+ * Change the minimum size of a file to be downloaded in segments.
+ *
+ * @param {number} minSize Minimum file size in MB.
+ */
+exports.setSegmentedDownloadMinSize = function (minSize) {
+    config.settings.launcher.segmentedDownload.minSize = Number(minSize)
+}
+
+/**
+ * Check if every game file should be hashed on launch instead of trusting the validation cache.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether deep verification is enabled.
+ */
+exports.getDeepVerify = function (def = false) {
+    return !def ? config.settings.launcher.deepVerify : DEFAULT_CONFIG.settings.launcher.deepVerify
+}
+
+/**
+ * Change the status of whether every game file should be hashed on launch.
+ *
+ * @param {boolean} deepVerify Whether deep verification is enabled.
+ */
+exports.setDeepVerify = function (deepVerify) {
+    config.settings.launcher.deepVerify = deepVerify
+}
+
+/**
+ * Retrieve the folder or removable drive which is searched for game files before downloading them.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {?string} The local source directory, null if not set.
+ */
+exports.getLocalSourceDirectory = function (def = false) {
+    return !def ? config.settings.launcher.localSourceDirectory : DEFAULT_CONFIG.settings.launcher.localSourceDirectory
+}
+
+/**
+ * Change the folder or removable drive which is searched for game files.
+ *
+ * @param {?string} directory The local source directory, empty to stop using it.
+ */
+exports.setLocalSourceDirectory = function (directory) {
+    config.settings.launcher.localSourceDirectory = directory ? directory.trim() || null : null
+}
+
+/**
+ * Check if game files are shared with and fetched from other launchers in the local network.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether LAN sharing is enabled.
+ */
+exports.getLanSharing = function (def = false) {
+    return !def ? config.settings.launcher.lanSharing : DEFAULT_CONFIG.settings.launcher.lanSharing
+}
+
+/**
+ * Change the status of whether game files are shared with other launchers in the local network.
+ *
+ * @param {boolean} lanSharing Whether LAN sharing is enabled.
+ */
+exports.setLanSharing = function (lanSharing) {
+    config.settings.launcher.lanSharing = lanSharing
+}
+
+/**
+ * Retrieve the priorities of the fetchers which override the defaults and the version descriptor.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {Object.<string, number>} Priorities by url scheme, lower values are tried first.
+ */
+exports.getFetcherPriorities = function (def = false) {
+    return !def ? config.settings.launcher.fetcherPriorities : DEFAULT_CONFIG.settings.launcher.fetcherPriorities
+}
+
+/**
+ * Change the priority of the fetcher for an url scheme.
+ *
+ * @param {string} scheme Url scheme without the trailing colon, e.g. 'magnet'.
+ * @param {?number} priority The priority, null restores the default one.
+ */
+exports.setFetcherPriority = function (scheme, priority) {
+    if (priority == null) {
+        delete config.settings.launcher.fetcherPriorities[scheme]
+    } else {
+        config.settings.launcher.fetcherPriorities[scheme] = Number(priority)
+    }
+}
+
+/**
+ * Retrieve the retry policies which override the defaults of the fetcher types.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {Object.<string, {attempts: number, baseDelay: number, maxDelay: number}>} Policies by fetcher type, e.g. 'HttpFetcher'.
+ */
+exports.getRetryPolicies = function (def = false) {
+    return !def ? config.settings.launcher.retryPolicies : DEFAULT_CONFIG.settings.launcher.retryPolicies
+}
+
+/**
+ * Change the retry policy of a fetcher type.
+ *
+ * @param {string} fetcherType Name of the fetcher type, e.g. 'HttpFetcher'.
+ * @param {?{attempts: number, baseDelay: number, maxDelay: number}} policy The policy, null restores the default one.
+ * Omitted fields keep their default values, delays are in milliseconds.
+ */
+exports.setRetryPolicy = function (fetcherType, policy) {
+    if (policy == null) {
+        delete config.settings.launcher.retryPolicies[fetcherType]
+    } else {
+        config.settings.launcher.retryPolicies[fetcherType] = policy
+    }
+}
+
+/**
+ * Check if the system proxy is used.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether the system proxy is detected and used.
+ */
+exports.getProxyAutodetect = function (def = false) {
+    return !def ? config.settings.launcher.proxy.autodetect : DEFAULT_CONFIG.settings.launcher.proxy.autodetect
+}
+
+/**
+ * Change the status of whether the system proxy is used.
+ *
+ * @param {boolean} autodetect Whether the system proxy is detected and used.
+ */
+exports.setProxyAutodetect = function (autodetect) {
+    config.settings.launcher.proxy.autodetect = autodetect
+}
+
+/**
+ * Retrieve the proxy used when the system one is not detected.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The proxy url, e.g. 'http://host:3128' or 'socks5://host:1080'. Empty to connect directly.
+ */
+exports.getProxyUrl = function (def = false) {
+    return !def ? config.settings.launcher.proxy.url : DEFAULT_CONFIG.settings.launcher.proxy.url
+}
+
+/**
+ * Change the proxy used when the system one is not detected.
+ *
+ * @param {string} url The proxy url, empty to connect directly.
+ */
+exports.setProxyUrl = function (url) {
+    config.settings.launcher.proxy.url = url.trim()
+}
+
+/**
+ * Validate a potential new proxy url.
+ *
+ * @param {string} url The proxy url to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateProxyUrl = function (url) {
+    const value = url.trim()
+    if (!value) {
+        return true
+    }
+    try {
+        return ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'].includes(new URL(value).protocol)
+    } catch (e) {
+        return false
+    }
+}
+
+/**
+ * Retrieve the user name for the proxy.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The user name, empty if the proxy does not require authentication.
+ */
+exports.getProxyUsername = function (def = false) {
+    return !def ? config.settings.launcher.proxy.username : DEFAULT_CONFIG.settings.launcher.proxy.username
+}
+
+/**
+ * Change the user name for the proxy.
+ *
+ * @param {string} username The user name, empty if the proxy does not require authentication.
+ */
+exports.setProxyUsername = function (username) {
+    config.settings.launcher.proxy.username = username
+}
+
+// The proxy password is kept in the system keychain instead of the configuration.
+const KEYCHAIN_SERVICE = 'Blade Launcher'
+const KEYCHAIN_PROXY_ACCOUNT = 'proxy'
+
+let proxyPassword = ''
+
+/**
+ * @returns {?Object} The keytar module, null if the system keychain is not available.
+ */
+function _getKeychain() {
+    try {
+        return require('keytar')
+    } catch (err) {
+        logger.warn('The system keychain is not available.', err)
+        return null
+    }
+}
+
+/**
+ * Read the proxy password from the system keychain. A password which earlier versions
+ * kept in the configuration is moved to the keychain.
+ *
+ * @returns {Promise.<void>}
+ */
+exports.loadProxyPassword = async function () {
+    const keychain = _getKeychain()
+    const proxy = config != null ? config.settings.launcher.proxy : {}
+    if (proxy.password != null) {
+        if (proxy.password) {
+            proxyPassword = proxy.password
+            await exports.storeProxyPassword()
+        }
+        delete proxy.password
+        exports.save()
+    }
+    if (keychain == null) {
+        return
+    }
+    try {
+        proxyPassword = await keychain.getPassword(KEYCHAIN_SERVICE, KEYCHAIN_PROXY_ACCOUNT) || ''
+    } catch (err) {
+        logger.warn('Failed to read the proxy password from the system keychain.', err)
+    }
+}
+
+/**
+ * Write the proxy password to the system keychain.
+ *
+ * @returns {Promise.<void>}
+ */
+exports.storeProxyPassword = async function () {
+    const keychain = _getKeychain()
+    if (keychain == null) {
+        return
+    }
+    try {
+        if (proxyPassword) {
+            await keychain.setPassword(KEYCHAIN_SERVICE, KEYCHAIN_PROXY_ACCOUNT, proxyPassword)
+        } else {
+            await keychain.deletePassword(KEYCHAIN_SERVICE, KEYCHAIN_PROXY_ACCOUNT)
+        }
+    } catch (err) {
+        logger.warn('Failed to write the proxy password to the system keychain.', err)
+    }
+}
+
+/**
+ * Retrieve the password for the proxy, as read by loadProxyPassword.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The password.
+ */
+exports.getProxyPassword = function (def = false) {
+    return !def ? proxyPassword : ''
+}
+
+/**
+ * Change the password for the proxy. It is kept in memory until storeProxyPassword is called.
+ *
+ * @param {string} password The password.
+ */
+exports.setProxyPassword = function (password) {
+    proxyPassword = password
+}
+
+/**
+ * Check if the game files are updated in the background while the launcher is in the tray.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether background updates are enabled.
+ */
+exports.getBackgroundUpdates = function (def = false) {
+    return !def ? config.settings.launcher.backgroundUpdate.enabled : DEFAULT_CONFIG.settings.launcher.backgroundUpdate.enabled
+}
+
+/**
+ * Change the status of whether the game files are updated in the background.
+ * Closing the launcher window hides it to the tray while this is enabled.
+ *
+ * @param {boolean} enabled Whether background updates are enabled.
+ */
+exports.setBackgroundUpdates = function (enabled) {
+    config.settings.launcher.backgroundUpdate.enabled = enabled
+}
+
+/**
+ * Retrieve the time between two background updates.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The interval in minutes.
+ */
+exports.getBackgroundUpdateInterval = function (def = false) {
+    return !def ? config.settings.launcher.backgroundUpdate.interval : DEFAULT_CONFIG.settings.launcher.backgroundUpdate.interval
+}
+
+/**
+ * Change the time between two background updates.
+ *
+ * @param {number} interval The new interval in minutes.
+ */
+exports.setBackgroundUpdateInterval = function (interval) {
+    config.settings.launcher.backgroundUpdate.interval = Number.parseInt(interval)
+}
+
+/**
+ * Validate a potential new background update interval.
+ *
+ * @param {number} interval The interval value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateBackgroundUpdateInterval = function (interval) {
+    const nVal = Number.parseInt(interval)
+    return Number.isInteger(nVal) && nVal >= 5
+}
+
+/**
+ * Retrieve the hour when background updates are allowed to start.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The hour of the day, 0-23.
+ */
+exports.getBackgroundUpdateStartHour = function (def = false) {
+    return !def ? config.settings.launcher.backgroundUpdate.startHour : DEFAULT_CONFIG.settings.launcher.backgroundUpdate.startHour
+}
+
+/**
+ * Change the hour when background updates are allowed to start.
+ *
+ * @param {number} hour The hour of the day, 0-23.
+ */
+exports.setBackgroundUpdateStartHour = function (hour) {
+    config.settings.launcher.backgroundUpdate.startHour = Number.parseInt(hour)
+}
+
+/**
+ * Validate a potential new start hour of background updates.
+ *
+ * @param {number} hour The hour value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateBackgroundUpdateStartHour = function (hour) {
+    const nVal = Number.parseInt(hour)
+    return Number.isInteger(nVal) && nVal >= 0 && nVal <= 23
+}
+
+/**
+ * Retrieve the hour when background updates are no longer started. The window
+ * may span midnight, the same start and end hour allow updates at any time.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The hour of the day, 0-23.
+ */
+exports.getBackgroundUpdateEndHour = function (def = false) {
+    return !def ? config.settings.launcher.backgroundUpdate.endHour : DEFAULT_CONFIG.settings.launcher.backgroundUpdate.endHour
+}
+
+/**
+ * Change the hour when background updates are no longer started.
+ *
+ * @param {number} hour The hour of the day, 0-23.
+ */
+exports.setBackgroundUpdateEndHour = function (hour) {
+    config.settings.launcher.backgroundUpdate.endHour = Number.parseInt(hour)
+}
+
+/**
+ * Validate a potential new end hour of background updates.
+ *
+ * @param {number} hour The hour value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateBackgroundUpdateEndHour = function (hour) {
+    return exports.validateBackgroundUpdateStartHour(hour)
+}
+
+/**
+ * Retrieve the bandwidth cap of background updates.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The cap in KB/s shared by all downloads, 0 if there is no cap.
+ */
+exports.getBackgroundUpdateSpeedLimit = function (def = false) {
+    return !def ? config.settings.launcher.backgroundUpdate.speedLimit : DEFAULT_CONFIG.settings.launcher.backgroundUpdate.speedLimit
+}
+
+/**
+ * Change the bandwidth cap of background updates.
+ *
+ * @param {number} limit The cap in KB/s, 0 to not limit the background updates.
+ */
+exports.setBackgroundUpdateSpeedLimit = function (limit) {
+    config.settings.launcher.backgroundUpdate.speedLimit = Number.parseInt(limit)
+}
+
+/**
+ * Validate a potential new bandwidth cap of background updates.
+ *
+ * @param {number} limit The cap value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateBackgroundUpdateSpeedLimit = function (limit) {
+    const nVal = Number.parseInt(limit)
+    return Number.isInteger(nVal) && nVal >= 0
+}
+
+/**
+ * Retrieve what happens to seeding and background updates while the game is running.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} 'pause' to stop them, 'throttle' to cap their speed or 'keep' to leave them as is.
+ */
+exports.getGameSessionMode = function (def = false) {
+    return !def ? config.settings.launcher.gameSession.mode : DEFAULT_CONFIG.settings.launcher.gameSession.mode
+}
+
+/**
+ * Change what happens to seeding and background updates while the game is running.
+ *
+ * @param {string} mode 'pause', 'throttle' or 'keep'.
+ */
+exports.setGameSessionMode = function (mode) {
+    config.settings.launcher.gameSession.mode = mode
+}
+
+/**
+ * Retrieve the speed cap of seeding and background updates while the game is running.
+ *
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The cap in KB/s, applied in the 'throttle' mode.
+ */
+exports.getGameSessionSpeedLimit = function (def = false) {
+    return !def ? config.settings.launcher.gameSession.speedLimit : DEFAULT_CONFIG.settings.launcher.gameSession.speedLimit
+}
+
+/**
+ * Change the speed cap of seeding and background updates while the game is running.
+ *
+ * @param {number} limit The cap in KB/s.
+ */
+exports.setGameSessionSpeedLimit = function (limit) {
+    config.settings.launcher.gameSession.speedLimit = Number.parseInt(limit)
+}
+
+/**
+ * Validate a potential new speed cap while the game is running.
+ *
+ * @param {number} limit The cap value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateGameSessionSpeedLimit = function (limit) {
+    const nVal = Number.parseInt(limit)
+    return Number.isInteger(nVal) && nVal > 0
+}
+
 /**
  * Retrieve fingerprint value.
  *
@@ -110,27 +110,151 @@ class TorrentManager {
     constructor(db) {
         this.db = db
         this.db.prepare('CREATE TABLE IF NOT EXISTS torrents (path TEXT NOT NULL UNIQUE, torrentdata TEXT NOT NULL UNIQUE)').run()
+        // Set while the download of the file is unfinished, the torrent is not seeded then.
+        const columns = this.db.prepare('PRAGMA table_info(torrents)').all().map(c => c.name)
+        if (!columns.includes('unfinished')) {
+            this.db.prepare('ALTER TABLE torrents ADD COLUMN unfinished INTEGER NOT NULL DEFAULT 0').run()
+        }
     }
 
     add(targetPath, torrentFile) {
-        this.db.prepare('INSERT OR IGNORE INTO torrents (path, torrentdata) VALUES (?, ?)')
+        this._put(targetPath, torrentFile, 0)
+    }
+
+    saveProgress(targetPath, torrentFile) {
+        this._put(targetPath, torrentFile, 1)
+    }
+
+    _put(targetPath, torrentFile, unfinished) {
+        const torrentdata = torrentFile.toString('base64')
+        const owner = this.db.prepare('SELECT path FROM torrents WHERE torrentdata = ?').get(torrentdata)
+        if (owner != null && owner.path !== JSON.stringify(targetPath)) {
+            // A file with the same content is stored under another path, which keeps seeding it.
+            this.remove(targetPath)
+            return
+        }
+        this.db.prepare('INSERT INTO torrents (path, torrentdata, unfinished) VALUES (?, ?, ?) ON CONFLICT(path) DO UPDATE SET torrentdata = excluded.torrentdata, unfinished = excluded.unfinished')
             .run(
                 JSON.stringify(targetPath),
-                torrentFile.toString('base64')
+                torrentdata,
+                unfinished
             )
     }
 
+    get(targetPath) {
+        return this.db.prepare('SELECT * FROM torrents WHERE path = ?')
+            .get(JSON.stringify(targetPath))
+    }
+
+    remove(targetPath) {
+        this.db.prepare('DELETE FROM torrents WHERE path = ?')
+            .run(JSON.stringify(targetPath))
+    }
+
+    removeUnder(paths) {
+        const remove = this.db.prepare('DELETE FROM torrents WHERE path = ?')
+        for (const row of this.getAll()) {
+            const targetPath = JSON.parse(row.path)
+            if (paths.some(p => targetPath === p || targetPath.startsWith(p + path.sep))) {
+                remove.run(row.path)
+            }
+        }
+    }
+
     getAll() {
         return this.db.prepare('SELECT * FROM torrents').all()
     }
 }
 
+class MirrorManager {
+    constructor(db) {
+        this.db = db
+        this.db.prepare('CREATE TABLE IF NOT EXISTS mirrors (host TEXT NOT NULL UNIQUE, successes INTEGER NOT NULL, failures INTEGER NOT NULL, consecutiveFailures INTEGER NOT NULL, throughput REAL, latency REAL, benchedUntil INTEGER NOT NULL)').run()
+    }
+
+    get(host) {
+        return this.db.prepare('SELECT * FROM mirrors WHERE host = ?')
+            .get(host)
+    }
+
+    put(mirror) {
+        this.db.prepare('INSERT OR REPLACE INTO mirrors (host, successes, failures, consecutiveFailures, throughput, latency, benchedUntil) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(
+                mirror.host,
+                mirror.successes,
+                mirror.failures,
+                mirror.consecutiveFailures,
+                mirror.throughput,
+                mirror.latency,
+                mirror.benchedUntil
+            )
+    }
+}
+
+class ValidationManager {
+    constructor(db) {
+        this.db = db
+        this.db.prepare('CREATE TABLE IF NOT EXISTS validations (path TEXT NOT NULL UNIQUE, size INTEGER NOT NULL, mtime REAL NOT NULL, inode TEXT NOT NULL, checksum TEXT NOT NULL)').run()
+    }
+
+    get(targetPath) {
+        return this.db.prepare('SELECT * FROM validations WHERE path = ?')
+            .get(targetPath)
+    }
+
+    put(entry) {
+        this.db.prepare('INSERT OR REPLACE INTO validations (path, size, mtime, inode, checksum) VALUES (?, ?, ?, ?, ?)')
+            .run(
+                entry.path,
+                entry.size,
+                entry.mtime,
+                entry.inode,
+                entry.checksum
+            )
+    }
+
+    remove(targetPath) {
+        this.db.prepare('DELETE FROM validations WHERE path = ?')
+            .run(targetPath)
+    }
+}
+
+class DownloadSessionManager {
+    constructor(db) {
+        this.db = db
+        this.db.prepare('CREATE TABLE IF NOT EXISTS download_sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, startedAt INTEGER NOT NULL, duration INTEGER NOT NULL, result TEXT NOT NULL, stats json NOT NULL)').run()
+    }
+
+    add(session) {
+        this.db.prepare('INSERT INTO download_sessions (startedAt, duration, result, stats) VALUES (?, ?, ?, ?)')
+            .run(
+                session.startedAt,
+                session.duration,
+                session.result,
+                JSON.stringify(session.stats)
+            )
+    }
+
+    getLast(limit) {
+        return this.db.prepare('SELECT * FROM download_sessions ORDER BY id DESC LIMIT ?')
+            .all(limit)
+    }
+
+    prune(keep) {
+        this.db.prepare('DELETE FROM download_sessions WHERE id NOT IN (SELECT id FROM download_sessions ORDER BY id DESC LIMIT ?)')
+            .run(keep)
+    }
+}
+
 const db = init()
 module.exports = {
     ApplicationDBManager: new ApplicationManager(db),
     AssetsDBManager: new AssetsManager(db),
     VersionsDBManager: new VersionsManager(db),
     ConfigDBManager: new ConfigManager(db),
-    TorrentDBManager: new TorrentManager(db)
+    TorrentDBManager: new TorrentManager(db),
+    MirrorDBManager: new MirrorManager(db),
+    ValidationDBManager: new ValidationManager(db),
+    DownloadSessionDBManager: new DownloadSessionManager(db)
 }
 
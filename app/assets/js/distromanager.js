@@ -4,6 +4,7 @@ const path = require('path')
 const _ = require('lodash')
 
 const ConfigManager = require('./configmanager')
+const ProxyManager = require('./proxymanager')
 const logger = require('./loggerutil')('%c[DistroManager]', 'color: #a02d2a; font-weight: bold')
 
 /**
@@ -645,7 +646,8 @@ exports.pullRemote = async () => {
 
     const response = await got.get(distroURL, {
         headers: customHeaders,
-        timeout: 5000
+        timeout: 5000,
+        agent: ProxyManager.getGotAgent()
     })
 
     switch (response.statusCode) {
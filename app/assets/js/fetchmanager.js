@@ -4,22 +4,344 @@ const fs = require('fs-extra')
 const arch = require('arch')
 const child_process = require('child_process')
 const path = require('path')
-const ThrottleGroup = require('stream-throttle').ThrottleGroup
 const {promisify} = require('util')
 const stream = require('stream')
 
 const isDev = require('./isdev')
 const {File} = require('./assets')
-const {Util} = require('./helpers')
+const {ThrottleGroup, Util} = require('./helpers')
 const ConfigManager = require('./configmanager')
 const VersionsManager = require('./versionsmanager')
+const MirrorManager = require('./mirrormanager')
+const LanManager = require('./lanmanager')
+const ProxyManager = require('./proxymanager')
+const BandwidthManager = require('./bandwidthmanager')
+const StatsManager = require('./statsmanager')
 const LoggerUtil = require('./loggerutil')
+const {TorrentDBManager} = require('./databasemanager')
 
 const logger = LoggerUtil('%c[FetchManager]', 'color: #a02d2a; font-weight: bold')
 
+// Size of the chunks passed on by the throttled streams.
+const THROTTLE_CHUNK_SIZE = 16 * 1024
+
+
+/**
+ * Shared switch which lets the whole download queue be paused, resumed or cancelled.
+ * Fetchers subscribe to interruptions and abort their work leaving partial files in place.
+ */
+class DownloadController extends EventEmitter {
+    constructor() {
+        super()
+        this.setMaxListeners(0)
+        this.state = 'running'
+        /** @type {?number} */
+        this._speedLimit = null
+        /** @type {?ThrottleGroup} */
+        this._sharedThrottleGroup = null
+        /** @type {Set<ThrottleGroup>} */
+        this._throttleGroups = new Set()
+        this._unwatchLimits = null
+    }
+
+    /**
+     * Cap the bandwidth of all downloads together, on top of the per file limit from the settings.
+     *
+     * @param {?number} limit Cap in KB/s, null to remove it.
+     */
+    setSpeedLimit(limit) {
+        if (this._sharedThrottleGroup != null) {
+            const tg = this._sharedThrottleGroup
+            this._sharedThrottleGroup = null
+            this.releaseThrottleGroup(tg)
+        }
+        this._speedLimit = limit
+        if (limit != null) {
+            this._sharedThrottleGroup = this._createThrottleGroup()
+        }
+    }
+
+    /**
+     * The group follows the scheduled speed limit while it is in use, so it has to be
+     * released once the file is downloaded.
+     *
+     * @returns {ThrottleGroup} Group which throttles the streams of a single file.
+     */
+    getThrottleGroup() {
+        return this._sharedThrottleGroup || this._createThrottleGroup()
+    }
+
+    /**
+     * @param {ThrottleGroup} tg Group returned by getThrottleGroup.
+     */
+    releaseThrottleGroup(tg) {
+        if (tg === this._sharedThrottleGroup) {
+            return
+        }
+        this._throttleGroups.delete(tg)
+        if (this._throttleGroups.size === 0 && this._unwatchLimits != null) {
+            this._unwatchLimits()
+            this._unwatchLimits = null
+        }
+    }
+
+    _getSpeedLimit() {
+        const scheduled = BandwidthManager.getLimits().download
+        return this._speedLimit != null ? Math.min(this._speedLimit, scheduled) : scheduled
+    }
+
+    _createThrottleGroup() {
+        const tg = new ThrottleGroup(1024 * this._getSpeedLimit(), THROTTLE_CHUNK_SIZE)
+        this._throttleGroups.add(tg)
+        if (this._unwatchLimits == null) {
+            this._unwatchLimits = BandwidthManager.watch(() => {
+                const limit = this._getSpeedLimit()
+                for (const group of this._throttleGroups) {
+                    group.setRate(1024 * limit)
+                }
+            })
+        }
+        return tg
+    }
+
+    isPaused() {
+        return this.state === 'paused'
+    }
+
+    isCancelled() {
+        return this.state === 'cancelled'
+    }
+
+    pause() {
+        if (this.state === 'running') {
+            this.state = 'paused'
+            this.emit('pause')
+        }
+    }
+
+    resume() {
+        if (this.state === 'paused') {
+            this.state = 'running'
+            this.emit('resume')
+        }
+    }
+
+    cancel() {
+        if (this.state !== 'cancelled') {
+            this.state = 'cancelled'
+            this.emit('cancel')
+        }
+    }
+
+    /**
+     * Resolves once the downloads are allowed to continue.
+     *
+     * @returns {Promise<void>} Rejected if the downloads were cancelled.
+     */
+    async waitForResume() {
+        if (this.isPaused()) {
+            await new Promise(resolve => {
+                const listener = () => {
+                    this.removeListener('resume', listener)
+                    this.removeListener('cancel', listener)
+                    resolve()
+                }
+                this.on('resume', listener)
+                this.on('cancel', listener)
+            })
+        }
+        if (this.isCancelled()) {
+            throw new Error('Download was cancelled.')
+        }
+    }
+
+    /**
+     * @param {function()} handler Called when the downloads are paused or cancelled.
+     * @returns {function()} Function which unsubscribes the handler.
+     */
+    onInterrupt(handler) {
+        this.on('pause', handler)
+        this.on('cancel', handler)
+        return () => {
+            this.removeListener('pause', handler)
+            this.removeListener('cancel', handler)
+        }
+    }
+}
+
+
+// HTTP statuses and socket error codes which are expected to go away when the request is repeated.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504])
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+    'ENETUNREACH', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE'
+])
+
+/**
+ * @param {*} error Error of a request.
+ * @returns {boolean} Whether repeating the request may succeed.
+ */
+function _isRetryableError(error) {
+    if (error == null || typeof error !== 'object') {
+        return false
+    }
+    if (error.response != null) {
+        return RETRYABLE_STATUSES.has(error.response.statusCode)
+    }
+    return RETRYABLE_CODES.has(error.code)
+}
+
+/**
+ * Failure of a fetcher which knows whether it is worth retrying.
+ */
+class FetchError extends Error {
+    /**
+     * @param {string} message
+     * @param {boolean} retryable Optional. Whether the fetch may succeed if it is repeated.
+     */
+    constructor(message, retryable = false) {
+        super(message)
+        this.name = 'FetchError'
+        this.retryable = retryable
+    }
+}
+
+
+// How often a file which is still written is checked for new bytes to hash.
+const HASH_FOLLOW_INTERVAL = 200
+
+/**
+ * Hashes a file in order while it is still being written, so the digest is ready as soon
+ * as the last byte is and the file does not have to be read again afterwards.
+ */
+class FileHashFollower {
+    /**
+     * @param {{update: function(Buffer), digest: function(): Buffer}} hash
+     * @param {string} filePath
+     * @param {function(): (number|Promise<number>)} getFrontier Returns how many leading bytes
+     * of the file are written and will not change anymore.
+     */
+    constructor(hash, filePath, getFrontier) {
+        this.hash = hash
+        this.filePath = filePath
+        this.getFrontier = getFrontier
+        this.offset = 0
+        this._size = null
+        this._stopped = false
+        this._wake = null
+        this._following = this._follow()
+        // Failures are reported by finish, a stopped follower is not awaited at all.
+        this._following.catch(() => {})
+    }
+
+    async _follow() {
+        while (!this._stopped) {
+            const frontier = this._size != null ? this._size : await this.getFrontier()
+            if (frontier > this.offset) {
+                let offset = this.offset
+                for await (const chunk of fs.createReadStream(this.filePath, {start: this.offset, end: frontier - 1})) {
+                    this.hash.update(chunk)
+                    offset += chunk.length
+                }
+                if (offset !== frontier) {
+                    throw new Error(`${this.filePath} is shorter than ${frontier} bytes.`)
+                }
+                this.offset = offset
+            } else if (this._size != null) {
+                return
+            } else {
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, HASH_FOLLOW_INTERVAL)
+                    this._wake = () => {
+                        clearTimeout(timer)
+                        resolve()
+                    }
+                })
+                this._wake = null
+            }
+        }
+    }
+
+    /**
+     * Hash the rest of the file once it is completely written.
+     *
+     * @param {number} size Final size of the file.
+     * @returns {Promise<string>} Hex digest of the file.
+     */
+    async finish(size) {
+        this._size = size
+        if (this._wake) {
+            this._wake()
+        }
+        await this._following
+        if (this.offset !== size) {
+            throw new Error(`${this.filePath} has more than ${size} bytes.`)
+        }
+        return this.hash.digest().toString('hex')
+    }
+
+    /**
+     * Give up on the digest, e.g. because writing the file failed.
+     */
+    stop() {
+        this._stopped = true
+        if (this._wake) {
+            this._wake()
+        }
+    }
+}
+
 
 class Fetcher {
 
+    /**
+     * @returns {Array.<string>} Url schemes handled by the fetcher, without the trailing colon.
+     */
+    static get schemes() {
+        return []
+    }
+
+    /**
+     * @returns {number} Priority used unless overridden, fetchers with lower values are tried first.
+     */
+    static get defaultPriority() {
+        return Number.MAX_SAFE_INTEGER
+    }
+
+    /**
+     * @returns {{attempts: number, baseDelay: number, maxDelay: number}} Retry policy used unless overridden.
+     * Attempts include the first one, delays are in milliseconds.
+     */
+    static get defaultRetryPolicy() {
+        return {attempts: 1, baseDelay: 1000, maxDelay: 30000}
+    }
+
+    /**
+     * Create a fetcher of the url for the asset.
+     *
+     * @param {Reporter} reporter
+     * @param {string} url
+     * @param {File} asset
+     * @param {Facade} facade Provides the account, launcher version and torrents proxy.
+     * @returns {Fetcher}
+     */
+    static create(reporter, url, asset, facade) {
+        throw new Error('Method is not implemented.')
+    }
+
+    /**
+     * Create a fetcher of a source which is not listed in the urls of the asset, e.g. a local folder.
+     * Such fetchers declare a scheme of their own, so their priority can be configured like any other.
+     *
+     * @param {Reporter} reporter
+     * @param {File} asset
+     * @param {Facade} facade
+     * @returns {Promise<?Fetcher>} Null if the source is not available.
+     */
+    static async createForAsset(reporter, asset, facade) {
+        return null
+    }
+
     /**
      * @param {Reporter} reporter
      */
@@ -27,13 +349,47 @@ class Fetcher {
         this.reporter = reporter
     }
 
+    /**
+     * @returns {DownloadController}
+     */
+    get controller() {
+        return this.reporter.controller
+    }
+
     /**
      * @param {string} targetPath
-     * @returns {Promise<void>}
+     * @returns {Promise<?string>} Hex digest of the file calculated while it was written,
+     * null if the fetcher is not able to calculate it.
      */
     async fetch(targetPath) {
         throw new Error('Method is not implemented.')
     }
+
+    /**
+     * Describe how the asset would be fetched without fetching it.
+     *
+     * @returns {Promise<?{source: string, network: boolean, bytes: ?number}>} Name of the source, whether
+     * the bytes come over the network and how many of them, null if the size is unknown.
+     * Null if the fetcher is not able to provide the asset.
+     */
+    async plan() {
+        return {source: this.constructor.name, network: true, bytes: null}
+    }
+
+    /**
+     * @param {*} error The error the fetch failed with.
+     * @returns {boolean} Whether the fetch may succeed if it is repeated.
+     */
+    isRetryable(error) {
+        return error instanceof FetchError && error.retryable
+    }
+
+    /**
+     * Called once the fetcher failed for good, after its retries, to blame the sources
+     * it used. A host is blamed once per asset however many attempts it failed.
+     */
+    reportFailure() {
+    }
 }
 
 
@@ -42,11 +398,13 @@ class PreviousVersionFetcher extends Fetcher {
      * @param {Reporter} reporter
      * @param {File} asset
      * @param {Array.<File>} previousVersions
+     * @param {function(File): Promise<boolean>} validateBase Optional. Validates a previous version of the asset.
      */
-    constructor(reporter, asset, previousVersions) {
+    constructor(reporter, asset, previousVersions, validateBase = base => base.validateLocal()) {
         super(reporter)
         this.asset = asset
         this.previousVersions = previousVersions
+        this.validateBase = validateBase
     }
 
     async fetch(targetPath) {
@@ -59,72 +417,649 @@ class PreviousVersionFetcher extends Fetcher {
                 previousAsset.path,
                 previousAsset.targetPath
             )
-            if (await previousLib.validateLocal()) {
+            if (await this.validateBase(previousLib)) {
 
                 await fs.promises.copyFile(previousAsset.targetPath, targetPath)
                 const stats = await fs.stat(targetPath)
 
                 this.reporter.download(stats.size)
 
-                return
+                // The source file was just hashed by validateLocal.
+                return this.asset.checksum != null ? this.asset.checksum.hash : null
+            }
+        }
+        return null
+    }
+
+    async plan() {
+        for (let previousAsset of this.previousVersions) {
+            const previousLib = new File(
+                this.asset.id,
+                this.asset.checksum,
+                this.asset.size,
+                [],
+                previousAsset.path,
+                previousAsset.targetPath
+            )
+            if (await this.validateBase(previousLib)) {
+                return {source: 'previous', network: false, bytes: this.asset.size}
             }
         }
+        return null
+    }
+}
+
+
+class LocalDirectoryFetcher extends Fetcher {
+    static get schemes() {
+        return ['local']
+    }
+
+    static get defaultPriority() {
+        // Local media goes before any network source.
+        return -1
+    }
+
+    static async createForAsset(reporter, asset, facade) {
+        const localSourceDirectory = ConfigManager.getLocalSourceDirectory()
+        if (!localSourceDirectory) {
+            return null
+        }
+        const fetcher = new LocalDirectoryFetcher(reporter, asset, localSourceDirectory)
+        // Most folders hold a part of the files only, the others are not a failure of the source.
+        return await fetcher.plan() != null ? fetcher : null
+    }
+
+    /**
+     * @param {Reporter} reporter
+     * @param {File} asset
+     * @param {string} directory Folder or mounted drive which mirrors the relative paths of the assets.
+     */
+    constructor(reporter, asset, directory) {
+        super(reporter)
+        this.asset = asset
+        this.directory = directory
+    }
+
+    async fetch(targetPath) {
+        const sourcePath = path.join(this.directory, this.asset.path)
+        let stats
+        try {
+            stats = await fs.stat(sourcePath)
+        } catch (e) {
+            throw `${this.asset.path} is not found in ${this.directory}.`
+        }
+        if (this.asset.size != null && stats.size !== this.asset.size) {
+            throw `${sourcePath} does not match the expected size.`
+        }
+
+        let hash = null
+        if (this.asset.checksum != null && this.asset.checksum.algo != null) {
+            try {
+                hash = Util.createHash(this.asset.checksum.algo)
+            } catch (e) {
+                logger.warn(`Can not calculate digest of ${sourcePath} while copying.`, e)
+            }
+        }
+
+        // The copy goes to a side file, so a partial download of the target stays usable if it fails.
+        const copyPath = targetPath + '.local'
+        const reader = fs.createReadStream(sourcePath)
+        const release = this.controller.onInterrupt(() => reader.destroy(new Error('Copying was interrupted.')))
+        reader.on('data', (chunk) => {
+            if (hash) {
+                hash.update(chunk)
+            }
+            this.reporter.download(chunk.length)
+        })
+        try {
+            await promisify(stream.pipeline)(reader, fs.createWriteStream(copyPath))
+        } catch (error) {
+            await fs.remove(copyPath)
+            throw `Failed to copy ${sourcePath} to ${targetPath}. ${error.message}`
+        } finally {
+            release()
+        }
+
+        const digest = hash ? hash.digest().toString('hex') : null
+        if (digest != null && this.asset.checksum.hash != null && digest !== this.asset.checksum.hash) {
+            await fs.remove(copyPath)
+            throw `${sourcePath} does not match the expected checksum.`
+        }
+        await fs.move(copyPath, targetPath, {overwrite: true})
+        // The target is complete now, the state of its partial download is obsolete.
+        await fs.remove(HttpFetcher.getResumeInfoPath(targetPath))
+        logger.info(`${path.basename(targetPath)} was copied from ${this.directory}`)
+        return digest
+    }
+
+    async plan() {
+        try {
+            const stats = await fs.stat(path.join(this.directory, this.asset.path))
+            if (this.asset.size != null && stats.size !== this.asset.size) {
+                return null
+            }
+            return {source: 'local', network: false, bytes: stats.size}
+        } catch (e) {
+            return null
+        }
     }
 }
 
 
 class HttpFetcher extends Fetcher {
+    static get schemes() {
+        return ['http', 'https']
+    }
+
+    static get defaultPriority() {
+        return 3
+    }
+
+    static get defaultRetryPolicy() {
+        return {attempts: 4, baseDelay: 1000, maxDelay: 30000}
+    }
+
+    static create(reporter, url, asset, facade) {
+        return new HttpFetcher(reporter, url, facade.account, facade.launcherVersion, asset.size, asset.checksum && asset.checksum.algo)
+    }
+
     /**
      * @param {Reporter}reporter
      * @param {string} chosenUrl
-     * @param account
+     * @param account Optional. Null to not send the access token, e.g. to LAN peers.
+     * @param {string} launcherVersion
+     * @param {?number} expectedSize Optional. Size of the remote file, enables segmented downloading.
+     * @param {?string} checksumAlgo Optional. Algorithm of the digest calculated while downloading.
      */
-    constructor(reporter, chosenUrl, account, launcherVersion) {
+    constructor(reporter, chosenUrl, account, launcherVersion, expectedSize = null, checksumAlgo = null) {
         super(reporter)
         this.url = chosenUrl
         this.account = account
         this.launcherVersion = launcherVersion
+        this.expectedSize = expectedSize
+        this.checksumAlgo = checksumAlgo
+        this.downloaded = 0
+        this.latency = null
+        // Cleared for LAN peers, a proxy can not reach them.
+        this.useProxy = true
+    }
+
+    async plan() {
+        return {source: 'http', network: true, bytes: this.expectedSize}
+    }
+
+    /**
+     * Path of the file which keeps the validators of a partially downloaded file.
+     *
+     * @param {string} targetPath
+     * @returns {string}
+     */
+    static getResumeInfoPath(targetPath) {
+        return targetPath + '.resume'
+    }
+
+    /**
+     * Looks for a partial download of the same url which can be continued.
+     *
+     * @param {string} targetPath
+     * @returns {Promise<?{offset: number, validator: string}>}
+     */
+    async _resolvePartial(targetPath) {
+        let resumeInfo
+        let stats
+        try {
+            resumeInfo = await fs.readJson(HttpFetcher.getResumeInfoPath(targetPath))
+            stats = await fs.stat(targetPath)
+        } catch (e) {
+            return null
+        }
+        if (resumeInfo.url !== this.url || resumeInfo.segments || stats.size <= 0) {
+            return null
+        }
+        const validator = resumeInfo.etag || resumeInfo.lastModified
+        if (!validator) {
+            return null
+        }
+        return {offset: stats.size, validator}
+    }
+
+    /**
+     * @param {string} targetPath
+     * @param {function(): number} getFrontier See FileHashFollower.
+     * @returns {?FileHashFollower} Null if no or unsupported algorithm was given.
+     */
+    _followFile(targetPath, getFrontier) {
+        const hash = this._createHash()
+        return hash != null ? new FileHashFollower(hash, targetPath, getFrontier) : null
+    }
+
+    /**
+     * @returns {?{update: function(Buffer), digest: function(): Buffer}} Null if no or unsupported algorithm was given.
+     */
+    _createHash() {
+        if (this.checksumAlgo == null) {
+            return null
+        }
+        try {
+            return Util.createHash(this.checksumAlgo)
+        } catch (e) {
+            logger.warn(`Can not calculate digest of ${this.url} while downloading.`, e)
+            return null
+        }
+    }
+
+    /**
+     * @param account Optional. Null to not send the access token.
+     * @param {string} launcherVersion
+     * @returns {Object.<string, string>} Headers sent with every request to the game file servers.
+     */
+    static getHeaders(account, launcherVersion) {
+        return {
+            'User-Agent': 'BladeLauncher/' + launcherVersion,
+            'Accept': '*/*',
+            ...(account ? {'Authorization': `Bearer ${account.accessToken}`} : {})
+        }
+    }
+
+    _request(headers) {
+        const requestTime = Date.now()
+        const downloadStream = got.stream(this.url, {
+            headers: {
+                ...HttpFetcher.getHeaders(this.account, this.launcherVersion),
+                ...headers
+            },
+            agent: this.useProxy ? ProxyManager.getGotAgent() : undefined
+        })
+        const release = this.controller.onInterrupt(() => downloadStream.destroy(new Error('Download was interrupted.')))
+        stream.finished(downloadStream, release)
+        return new Promise((resolve, reject) => {
+            downloadStream.once('response', (response) => {
+                if (this.latency == null) {
+                    this.latency = Date.now() - requestTime
+                }
+                resolve({downloadStream, response})
+            })
+            downloadStream.once('error', reject)
+        })
+    }
+
+    /**
+     * Splits the remote file into byte ranges if it is large enough to be downloaded in segments.
+     *
+     * @returns {?Array.<{start: number, end: number, position: number}>}
+     */
+    _planSegments() {
+        const segmentsCount = ConfigManager.getDownloadSegments()
+        const minSize = ConfigManager.getSegmentedDownloadMinSize() * 1024 * 1024
+        if (!this.expectedSize || segmentsCount < 2 || this.expectedSize < minSize) {
+            return null
+        }
+        const segmentSize = Math.ceil(this.expectedSize / segmentsCount)
+        const segments = []
+        for (let start = 0; start < this.expectedSize; start += segmentSize) {
+            segments.push({start, end: Math.min(start + segmentSize, this.expectedSize) - 1, position: start})
+        }
+        return segments
+    }
+
+    _requestSegment(segment, validator) {
+        const headers = {'Range': `bytes=${segment.position}-${segment.end}`}
+        if (validator) {
+            headers['If-Range'] = validator
+        }
+        return this._request(headers)
+    }
+
+    _isRangeResponse(response) {
+        if (response.statusCode !== 206) {
+            return false
+        }
+        const contentRange = /\/(\d+)$/.exec(response.headers['content-range'] || '')
+        return contentRange != null && Number(contentRange[1]) === this.expectedSize
+    }
+
+    /**
+     * Downloads the file over several connections, each one writes its own byte range
+     * directly into the preallocated target file.
+     *
+     * @param {string} targetPath
+     * @returns {Promise<?{digest: ?string}>} Hex digest of the file, null if the server does not support range requests.
+     */
+    async _fetchSegmented(targetPath) {
+        const resumeInfoPath = HttpFetcher.getResumeInfoPath(targetPath)
+        let state
+        try {
+            state = await fs.readJson(resumeInfoPath)
+        } catch (e) {
+            state = null
+        }
+        const previousValidator = state && (state.etag || state.lastModified)
+        const canResume = state != null && state.url === this.url && Array.isArray(state.segments)
+            && previousValidator != null && await fs.pathExists(targetPath)
+
+        if (canResume) {
+            const present = state.segments.reduce((acc, segment) => acc + segment.position - segment.start, 0)
+            logger.info(`Resuming ${path.basename(targetPath)} from ${present} bytes.`)
+            this.reporter.resume(present)
+        } else {
+            state = {url: this.url, etag: null, lastModified: null, segments: this._planSegments()}
+            const fd = await fs.open(targetPath, 'w')
+            try {
+                await fs.ftruncate(fd, this.expectedSize)
+            } finally {
+                await fs.close(fd)
+            }
+        }
+
+        const active = []
+        // Segments are ordered by their start, so the file is complete up to the first unfinished one.
+        const getFrontier = () => {
+            for (const segment of state.segments) {
+                const entry = active.find(entry => entry.segment === segment)
+                const position = entry != null ? entry.position + entry.writer.bytesWritten : segment.position
+                if (position <= segment.end) {
+                    return position
+                }
+            }
+            return this.expectedSize
+        }
+
+        const pending = state.segments.filter(segment => segment.position <= segment.end)
+        if (pending.length === 0) {
+            const follower = this._followFile(targetPath, getFrontier)
+            const digest = follower != null ? await follower.finish(this.expectedSize) : null
+            await fs.remove(resumeInfoPath)
+            return {digest}
+        }
+
+        const first = await this._requestSegment(pending[0], canResume ? previousValidator : null)
+        if (!this._isRangeResponse(first.response)) {
+            first.downloadStream.destroy()
+            if (canResume) {
+                logger.info(`Remote file ${this.url} was changed, downloading ${path.basename(targetPath)} again.`)
+                this.reporter.reset()
+                await fs.remove(resumeInfoPath)
+                return this._fetchSegmented(targetPath)
+            }
+            return null
+        }
+        state.etag = first.response.headers['etag'] || null
+        state.lastModified = first.response.headers['last-modified'] || null
+        const validator = state.etag || state.lastModified
+        await fs.writeJson(resumeInfoPath, state)
+
+        // All segments share a throttle group, so the speed limit applies to the whole file at least.
+        const tg = this.controller.getThrottleGroup()
+        // Saves are chained, so a late one can not bring back the state of a finished download.
+        let saving = Promise.resolve()
+        const persist = () => {
+            for (const {segment, position, writer} of active) {
+                segment.position = position + writer.bytesWritten
+            }
+            saving = saving.then(() => fs.writeJson(resumeInfoPath, state))
+                .catch(e => logger.warn('Failed to save download state', e))
+            return saving
+        }
+        const timer = setInterval(persist, 5000)
+
+        // The first failure stops the other segments, nothing writes to the file once the fetch failed.
+        let failure = null
+        const abort = (error) => {
+            if (failure == null) {
+                failure = error
+                for (const {downloadStream} of active) {
+                    downloadStream.destroy()
+                }
+            }
+        }
+
+        const downloadSegment = async (segment, request) => {
+            const {downloadStream, response} = request || await this._requestSegment(segment, validator)
+            if (failure != null) {
+                downloadStream.destroy()
+                return
+            }
+            if (!this._isRangeResponse(response)) {
+                downloadStream.destroy()
+                throw new Error(`Unexpected response ${response.statusCode} for segment ${segment.start}-${segment.end}`)
+            }
+            const writer = fs.createWriteStream(targetPath, {flags: 'r+', start: segment.position})
+            active.push({segment, position: segment.position, writer, downloadStream})
+            downloadStream.on('data', (chunk) => {
+                this.downloaded += chunk.length
+                this.reporter.download(chunk.length)
+            })
+            await promisify(stream.pipeline)(downloadStream, tg.throttle(), writer)
+        }
+
+        // Segments arrive out of order, the written part of the file is hashed in parallel instead.
+        const follower = this._followFile(targetPath, getFrontier)
+        try {
+            // Every segment has to settle before the state is saved, a pending one may still get its response.
+            await Promise.allSettled(pending.map((segment, i) => downloadSegment(segment, i === 0 ? first : null).catch(abort)))
+        } finally {
+            clearInterval(timer)
+            this.controller.releaseThrottleGroup(tg)
+        }
+        if (failure != null) {
+            if (follower != null) {
+                follower.stop()
+            }
+            await persist()
+            throw new FetchError(`Failed to download ${this.url} to ${targetPath}. ${failure.message}`, _isRetryableError(failure))
+        }
+
+        const digest = follower != null ? await follower.finish(this.expectedSize) : null
+        await saving
+        await fs.remove(resumeInfoPath)
+        logger.info(`${path.basename(targetPath)} was downloaded successfully in ${pending.length} segments`)
+        return {digest}
+    }
+
+    async fetch(targetPath) {
+        const startTime = Date.now()
+        this.downloaded = 0
+        this.latency = null
+        const digest = await this._fetch(targetPath)
+        MirrorManager.reportSuccess(this.url, this.downloaded, Date.now() - startTime, this.latency)
+        StatsManager.recordHost(this.url, this.downloaded, Date.now() - startTime)
+        return digest
+    }
+
+    reportFailure() {
+        MirrorManager.reportFailure(this.url)
+    }
+
+    async _fetch(targetPath) {
+        if (this._planSegments() && !await this._resolvePartial(targetPath)) {
+            const result = await this._fetchSegmented(targetPath)
+            if (result != null) {
+                return result.digest
+            }
+            logger.info(`Server does not support ranges for ${this.url}, downloading over a single connection.`)
+        }
+
+        const resumeInfoPath = HttpFetcher.getResumeInfoPath(targetPath)
+        const partial = await this._resolvePartial(targetPath)
+
+        // The partial file is hashed before the request, an idle response could time out meanwhile.
+        let hash = this._createHash()
+        if (hash && partial) {
+            try {
+                for await (const chunk of fs.createReadStream(targetPath, {end: partial.offset - 1})) {
+                    hash.update(chunk)
+                }
+            } catch (error) {
+                throw new FetchError(`Failed to read partially downloaded ${targetPath}. ${error.message}`)
+            }
+        }
+
+        let downloadStream, response
+        try {
+            ({downloadStream, response} = await this._request(partial ? {
+                'Range': `bytes=${partial.offset}-`,
+                'If-Range': partial.validator
+            } : {}))
+        } catch (error) {
+            if (!partial || !error.response || error.response.statusCode !== 416) {
+                throw new FetchError(`Failed to download ${this.url}. ${error.message}`, _isRetryableError(error))
+            }
+            // The partial file does not fit the remote one anymore, so start from scratch.
+            logger.warn(`Server rejected range for ${path.basename(targetPath)}, downloading it again.`)
+            await fs.remove(resumeInfoPath)
+            return this._fetch(targetPath)
+        }
+
+        const isResumed = partial != null && response.statusCode === 206
+        if (isResumed) {
+            logger.info(`Resuming ${path.basename(targetPath)} from ${partial.offset} bytes.`)
+            this.reporter.resume(partial.offset)
+        } else if (partial) {
+            logger.info(`Server does not support resuming ${path.basename(targetPath)}, downloading it again.`)
+            hash = this._createHash()
+        }
+
+        await fs.writeJson(resumeInfoPath, {
+            url: this.url,
+            etag: response.headers['etag'] || null,
+            lastModified: response.headers['last-modified'] || null
+        })
+
+        const tg = this.controller.getThrottleGroup()
+        const fileWriterStream = fs.createWriteStream(targetPath, {flags: isResumed ? 'a' : 'w'})
+            .on('finish', () => logger.info(`${path.basename(targetPath)} was downloaded successfully`))
+
+        downloadStream.on('data', (chunk) => {
+            if (hash) {
+                hash.update(chunk)
+            }
+            this.downloaded += chunk.length
+            this.reporter.download(chunk.length)
+        })
+        const pipeline = promisify(stream.pipeline)
+        try {
+            await pipeline(downloadStream, tg.throttle(), fileWriterStream)
+        } catch (error) {
+            throw new FetchError(`Failed to download ${this.url} to ${targetPath}. ${error.message}`, _isRetryableError(error))
+        } finally {
+            this.controller.releaseThrottleGroup(tg)
+        }
+        await fs.remove(resumeInfoPath)
+        return hash ? hash.digest().toString('hex') : null
+    }
+}
+
+
+class LanFetcher extends Fetcher {
+    static get schemes() {
+        return ['lan']
+    }
+
+    static get defaultPriority() {
+        return 0
+    }
+
+    static async createForAsset(reporter, asset, facade) {
+        if (!ConfigManager.getLanSharing()) {
+            return null
+        }
+        const peers = await facade.getLanPeers()
+        return peers.length > 0 ? new LanFetcher(reporter, asset, peers, facade.launcherVersion) : null
+    }
+
+    /**
+     * @param {Reporter} reporter
+     * @param {File} asset
+     * @param {Array.<string>} peers Base urls of the launchers found in the local network.
+     * @param {string} launcherVersion
+     */
+    constructor(reporter, asset, peers, launcherVersion) {
+        super(reporter)
+        this.asset = asset
+        this.peers = peers
+        this.launcherVersion = launcherVersion
+    }
+
+    async fetch(targetPath) {
+        const relativePath = path.relative(ConfigManager.getDataDirectory(), this.asset.targetPath)
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            throw `${this.asset.id} is not stored in the data directory.`
+        }
+        if (this.asset.checksum == null || this.asset.checksum.hash == null) {
+            throw `${this.asset.id} has no checksum to verify a LAN copy.`
+        }
+        const urlPath = relativePath.split(path.sep).map(encodeURIComponent).join('/')
+        const checksum = encodeURIComponent(`${this.asset.checksum.algo}:${this.asset.checksum.hash}`)
+
+        for (const peer of MirrorManager.sortUrls(this.peers)) {
+            // Peers never get the access token, the result is verified by the checksum instead.
+            const fetcher = new HttpFetcher(this.reporter, `${peer}/files/${urlPath}?checksum=${checksum}`,
+                null, this.launcherVersion, this.asset.size, this.asset.checksum.algo)
+            fetcher.useProxy = false
+            try {
+                return await fetcher.fetch(targetPath)
+            } catch (e) {
+                if (this.controller.isPaused() || this.controller.isCancelled()) {
+                    throw e
+                }
+                logger.info(`LAN peer ${peer} could not provide ${this.asset.id}.`)
+                fetcher.reportFailure()
+                this.reporter.reset()
+            }
+        }
+        throw `No LAN peer provided ${this.asset.id}.`
     }
 
-    async fetch(targetPath) {
-        const tg = new ThrottleGroup({rate: 1024 * ConfigManager.getAssetDownloadSpeedLimit()})
-        const fileWriterStream = fs.createWriteStream(targetPath)
-            .on('error', (error) => {
-                throw (`Cannot write file to ${targetPath}: ${error.message}`)
-            })
-            .on('finish', () => logger.info(`${path.basename(targetPath)} was downloaded successfully`))
-
-        const downloadStream = got.stream(this.url, {
-            headers: {
-                'User-Agent': 'BladeLauncher/' + this.launcherVersion,
-                'Accept': '*/*',
-                'Authorization': `Bearer ${this.account.accessToken}`
-            }
-        })
-            .on('data', (chunk) => {
-                this.reporter.download(chunk.length)
-            })
-            .on('error', (error) => {
-                throw (`Failed to download ${this.url}. ${error.message}`)
-            })
-        const pipeline = promisify(stream.pipeline)
-        await pipeline(downloadStream, tg.throttle(), fileWriterStream)
+    async plan() {
+        // Peers are asked for the file only while fetching, so it is planned from the next source.
+        return null
     }
 }
 
 
 class TorrentFetcher extends Fetcher {
+    static get schemes() {
+        return ['magnet']
+    }
+
+    static get defaultPriority() {
+        return 2
+    }
+
+    static create(reporter, url, asset, facade) {
+        const webSeeds = {
+            urls: MirrorManager.sortUrls(asset.urls)
+                .filter(u => HttpFetcher.schemes.includes(new URL(u).protocol.slice(0, -1))),
+            // Web seeds are requested like any other download from the game file servers.
+            headers: HttpFetcher.getHeaders(facade.account, facade.launcherVersion)
+        }
+        return new TorrentFetcher(reporter, url, facade.torrentsProxy, webSeeds)
+    }
+
     /**
      * @param {Reporter} reporter
      * @param {string} chosenUrl
+     * @param {{urls: Array.<string>, headers: Object.<string, string>}} webSeeds Optional. Http urls of
+     * the same file and the headers to request them with, pieces are downloaded from them alongside the peers (BEP 19).
      */
-    constructor(reporter, chosenUrl, torrentsProxy) {
+    constructor(reporter, chosenUrl, torrentsProxy, webSeeds = {urls: [], headers: {}}) {
         super(reporter)
         this.url = chosenUrl
         this.torrentsProxy = torrentsProxy
+        this.webSeeds = webSeeds
+    }
+
+    async plan() {
+        return {source: 'torrent', network: true, bytes: null}
+    }
 
+    async fetch(targetPath) {
+        const chosenUrl = this.url
         let listener
-        this.fetchResult = new Promise((resolve, reject) => {
+        // Aborted torrent keeps its pieces on disk, they are verified when the fetch is repeated.
+        const release = this.controller.onInterrupt(() => this.torrentsProxy.emit('torrents', 'abort', chosenUrl))
+        const fetchResult = new Promise((resolve, reject) => {
             listener = (...args) => {
                 const cmd = args.shift()
                 switch (cmd) {
@@ -154,134 +1089,297 @@ class TorrentFetcher extends Fetcher {
                         logger.error(`Unexpected cmd ${cmd} from 'torrentsNotification' channel`)
                 }
             }
-            torrentsProxy.on('torrentsNotification', listener)
+            this.torrentsProxy.on('torrentsNotification', listener)
         }).finally(() => {
-            torrentsProxy.removeListener('torrentsNotification', listener)
+            release()
+            this.torrentsProxy.removeListener('torrentsNotification', listener)
         })
+        this.torrentsProxy.emit('torrents', 'fetch', chosenUrl, targetPath, this.webSeeds)
+        await fetchResult
+        // Pieces are written by the main process, the file has to be hashed again.
+        return null
     }
+}
 
-    async fetch(targetPath) {
-        this.torrentsProxy.emit('torrents', 'fetch', this.url, targetPath)
-        await this.fetchResult
+
+/**
+ * Tools which apply the supported diff types. Only the tools bundled with the launcher
+ * are run, so every tool listed here has to be in the tools manifest for each platform.
+ */
+const DIFF_TOOLS = Object.freeze({
+    hpatchz: {
+        tool: 'hpatchz',
+        args: (basePath, patchPath, outputPath) => [basePath, patchPath, outputPath]
     }
-}
+})
+
+/**
+ * Checksums of the tools bundled with the launcher, keyed by their path in the tools directory.
+ * The manifest is packed with the application sources, so it can not be swapped together with the tools.
+ *
+ * @type {Object.<string, string>}
+ */
+const TOOLS_MANIFEST = require('../tools.json')
+
+/** @type {Map<string, string>} */
+const verifiedTools = new Map()
 
 
 class PatchFetcher extends Fetcher {
+    static get schemes() {
+        return ['patch']
+    }
+
+    static get defaultPriority() {
+        return 1
+    }
+
+    static get defaultRetryPolicy() {
+        return {attempts: 2, baseDelay: 2000, maxDelay: 30000}
+    }
+
+    static create(reporter, url, asset, facade) {
+        return new PatchFetcher(reporter, url, facade.account, asset, facade.launcherVersion, base => facade.validateBase(base))
+    }
+
     /**
      * @param {Reporter}reporter
      * @param {string} chosenUrl
      * @param account
      * @param {File} asset
+     * @param {string} launcherVersion
+     * @param {function(File): Promise<boolean>} validateBase Optional. Validates the asset of a base version.
      */
-    constructor(reporter, chosenUrl, account, asset, launcherVersion) {
+    constructor(reporter, chosenUrl, account, asset, launcherVersion, validateBase = base => base.validateLocal()) {
         super(reporter)
         this.url = chosenUrl
         this.account = account
         this.assetId = asset.id
         this.assetSize = asset.size
+        this.checksumAlgo = asset.checksum && asset.checksum.algo
         this.launcherVersion = launcherVersion
+        this.validateBase = validateBase
+        /** @type {Set<string>} Urls of the patches which failed to download. */
+        this._failedUrls = new Set()
+    }
+
+    /**
+     * @param {string} tool Name of the tool, e.g. 'hpatchz'.
+     * @returns {?string} Path of the tool relative to the tools directory, null if the
+     * launcher does not bundle tools for this platform and architecture.
+     */
+    static _getBundledToolName(tool) {
+        // Bundled tools are x86 builds, arch() reports arm machines as x64 as well.
+        if (process.arch !== 'x64' && process.arch !== 'ia32') {
+            return null
+        }
+        return PatchFetcher._getToolNameFor(tool, process.platform, {x64: '64', x86: '32'}[arch()])
     }
 
-    static async getPatcherPath() {
-        let patcherPath = Array(3).fill('..')
-        if (!isDev) {
-            patcherPath = Array(5).fill('..')
-            patcherPath.push('resources')
+    /**
+     * @param {string} tool Name of the tool, e.g. 'hpatchz'.
+     * @param {string} platform Platform as reported by process.platform.
+     * @param {string} bits '32' or '64'.
+     * @returns {?string} Path of the tool relative to the tools directory, null if the
+     * launcher does not bundle tools for the platform.
+     */
+    static _getToolNameFor(tool, platform, bits) {
+        if (!bits) {
+            return null
         }
-        patcherPath.push('tools')
-        const myArch = arch()
-        switch (process.platform) {
+        switch (platform) {
             case 'win32':
-                patcherPath.push('win')
-                if (myArch === 'x64') {
-                    patcherPath.push('hpatchz64.exe')
-                } else if (myArch === 'x86') {
-                    patcherPath.push('hpatchz32.exe')
-                }
-                break
+                return `win/${tool}${bits}.exe`
             case 'linux':
-                patcherPath.push('linux')
-                if (myArch === 'x64') {
-                    patcherPath.push('hpatchz64')
-                } else if (myArch === 'x86') {
-                    patcherPath.push('hpatchz32')
-                }
-                break
+                return `linux/${tool}${bits}`
+            default:
+                return null
         }
-        const patcherFile = path.join(__dirname, ...patcherPath)
-        try {
-            await fs.promises.access(patcherFile, fs.constants.R_OK)
-        } catch (err) {
-            logger.error('Unsupported platform!', err)
-            throw err
-        }
-        return patcherFile
     }
 
-    async fetch(targetPath) {
-        const url = new URL(this.url)
-        const params = new URLSearchParams(url.search)
-        const baseVersionId = params.get('bs')
-        const subURI = params.get('su')
-        const diffType = params.get('dt')
-        const expectedLength = Number(params.get('xl'))
-        const checksumUri = params.get('cs')
-
-        if (!baseVersionId || !subURI || !diffType || !expectedLength || !checksumUri) {
-            throw new Error('Invalid patch uri.')
+    /**
+     * Check the bundled tool against the checksum manifest shipped with the launcher.
+     * Successful checks are remembered until the file changes.
+     *
+     * @param {string} toolName Path of the tool relative to the tools directory.
+     * @param {string} toolFile Absolute path of the tool.
+     */
+    static async _verifyTool(toolName, toolFile) {
+        const checksumUri = TOOLS_MANIFEST[toolName]
+        if (!checksumUri) {
+            throw new Error(`${toolName} is not listed in the tools manifest, refusing to run it.`)
         }
-
-        if (diffType !== 'hpatchz') {
-            throw new Error(`Unsupported diff type: ${diffType}.`)
+        const stats = await fs.stat(toolFile)
+        const fingerprint = `${stats.size}:${stats.mtimeMs}:${stats.ino}`
+        if (verifiedTools.get(toolFile) === fingerprint) {
+            return
         }
-
-        const subUrl = new URL(subURI)
-        if (subUrl.protocol !== 'http:' && subUrl.protocol !== 'https:') {
-            throw new Error(`Unsupported sub uri protocol: ${subUrl.protocol}.`)
+        const checksum = Util.parseChecksum(checksumUri)
+        if (!await Util.validateLocal(toolFile, checksum.algo, checksum.hash)) {
+            throw new Error(`${toolFile} does not match the tools manifest, refusing to run a modified binary.`)
         }
+        verifiedTools.set(toolFile, fingerprint)
+    }
 
-        const baseVersion = VersionsManager.get(baseVersionId)
-        if (!baseVersion) {
-            throw new Error(`Base version not exists: ${baseVersionId}.`)
+    /**
+     * @param {string} tool Name of the tool, e.g. 'hpatchz'.
+     * @returns {Promise<string>} Path of the verified tool.
+     */
+    static async getToolPath(tool) {
+        const toolName = PatchFetcher._getBundledToolName(tool)
+        let toolFile = null
+        if (toolName) {
+            let toolPath = Array(3).fill('..')
+            if (!isDev) {
+                toolPath = Array(5).fill('..')
+                toolPath.push('resources')
+            }
+            toolFile = path.join(__dirname, ...toolPath, 'tools', ...toolName.split('/'))
+            if (!await fs.pathExists(toolFile)) {
+                toolFile = null
+            }
         }
 
-        const baseAsset = baseVersion.downloads[this.assetId]
-        if (!baseAsset) {
-            throw new Error(`Base version does not contain needed asset: ${this.assetId}.`)
+        if (!toolFile) {
+            const message = `${tool} is not available for ${process.platform} ${process.arch}.`
+            logger.error(message)
+            throw new Error(message)
         }
-        if (!await baseAsset.validateLocal()) {
-            throw new Error(`Base version asset is corrupted and can not be used: ${this.assetId}.`)
+
+        await PatchFetcher._verifyTool(toolName, toolFile)
+        return toolFile
+    }
+
+    /**
+     * Parse the steps of the patch uri. The step at position i patches the asset of the version
+     * given by the i-th 'bs' parameter, its patch is described by the i-th 'su', 'dt', 'xl' and 'cs'
+     * parameters. Results of all steps but the last one are described by the 'rl' and 'rc' parameters,
+     * the last one is the asset itself.
+     *
+     * @returns {Array.<{baseVersionId: string, subURI: string, diffType: string, patchLength: number,
+     * patchChecksum: {algo: string, hash: string}, resultLength: number, resultChecksum: ?{algo: string, hash: string}}>}
+     */
+    _parseSteps() {
+        const params = new URL(this.url).searchParams
+        const baseVersionIds = params.getAll('bs')
+        const subURIs = params.getAll('su')
+        const diffTypes = params.getAll('dt')
+        const patchLengths = params.getAll('xl').map(Number)
+        const checksumUris = params.getAll('cs')
+        const resultLengths = params.getAll('rl').map(Number)
+        const resultChecksumUris = params.getAll('rc')
+
+        const count = baseVersionIds.length
+        if (count === 0
+            || [subURIs, diffTypes, patchLengths, checksumUris].some(values => values.length !== count)
+            || resultLengths.length !== count - 1 || resultChecksumUris.length !== count - 1) {
+            throw new Error('Invalid patch uri.')
         }
 
-        const checksum = Util.parseChecksum(checksumUri)
-        let virtualBytesLeft = this.assetSize
-        const self = this
+        const steps = []
+        for (let i = 0; i < count; i++) {
+            const isLast = i === count - 1
+            const step = {
+                baseVersionId: baseVersionIds[i],
+                subURI: subURIs[i],
+                diffType: diffTypes[i],
+                patchLength: patchLengths[i],
+                patchChecksum: checksumUris[i] ? Util.parseChecksum(checksumUris[i]) : null,
+                resultLength: isLast ? this.assetSize : resultLengths[i],
+                resultChecksum: isLast || !resultChecksumUris[i] ? null : Util.parseChecksum(resultChecksumUris[i])
+            }
+            if (!step.baseVersionId || !step.subURI || !step.diffType || !step.patchLength || !step.patchChecksum
+                || (!isLast && (!step.resultLength || !step.resultChecksum))) {
+                throw new Error('Invalid patch uri.')
+            }
+            if (!DIFF_TOOLS[step.diffType]) {
+                throw new Error(`Unsupported diff type: ${step.diffType}.`)
+            }
+            const subUrl = new URL(step.subURI)
+            if (subUrl.protocol !== 'http:' && subUrl.protocol !== 'https:') {
+                throw new Error(`Unsupported sub uri protocol: ${subUrl.protocol}.`)
+            }
+            steps.push(step)
+        }
+        return steps
+    }
 
-        class AdjustReporter {
-            download(bytes) {
-                const adjustLength = Math.floor(self.assetSize * bytes / expectedLength)
-                self.reporter.download(adjustLength)
-                virtualBytesLeft -= adjustLength
+    /**
+     * Find the newest base version of the chain which has a valid asset locally.
+     *
+     * @param {Array.<Object>} steps
+     * @returns {Promise<{index: number, basePath: string}>}
+     */
+    async _findStart(steps) {
+        for (let i = steps.length - 1; i >= 0; i--) {
+            const baseVersion = VersionsManager.get(steps[i].baseVersionId)
+            if (!baseVersion) {
+                continue
+            }
+            const baseAsset = baseVersion.downloads[this.assetId]
+            if (baseAsset && await this.validateBase(baseAsset)) {
+                return {index: i, basePath: baseAsset.targetPath}
             }
         }
+        throw new Error(`No base version contains a valid asset ${this.assetId}.`)
+    }
 
-        const httpFetcher = new HttpFetcher(new AdjustReporter(), subURI, this.account, this.launcherVersion)
+    async _downloadPatch(step, patchPath, reporter) {
+        const checksum = step.patchChecksum
+        const isAlreadyValid = await Util.validateLocal(patchPath, checksum.algo, checksum.hash, step.patchLength)
+        if (isAlreadyValid) {
+            reporter.resume(step.patchLength)
+            return
+        }
+        const httpFetcher = new HttpFetcher(reporter, step.subURI, this.account, this.launcherVersion, step.patchLength, checksum.algo)
+        let digest
+        try {
+            digest = await httpFetcher.fetch(patchPath)
+        } catch (error) {
+            if (!this.controller.isPaused() && !this.controller.isCancelled()) {
+                this._failedUrls.add(step.subURI)
+            }
+            throw error
+        }
+        const isValid = digest != null
+            ? digest === checksum.hash && (await fs.stat(patchPath)).size === step.patchLength
+            : await Util.validateLocal(patchPath, checksum.algo, checksum.hash, step.patchLength)
+        if (!isValid) {
+            throw new Error('Fetched patch is not valid.')
+        }
+    }
 
-        const patchTargetPath = targetPath + '.patch'
-        const isAlreadyValid = await Util.validateLocal(patchTargetPath, checksum.algo, checksum.hash, expectedLength)
-        if (!isAlreadyValid) {
-            await httpFetcher.fetch(patchTargetPath)
-            const isValid = await Util.validateLocal(patchTargetPath, checksum.algo, checksum.hash, expectedLength)
-            if (!isValid) {
-                throw new Error('Fetched patch is not valid.')
+    /**
+     * @param {string} diffType
+     * @param {string} basePath
+     * @param {string} patchPath
+     * @param {string} outputPath
+     * @param {?string} checksumAlgo Optional. Algorithm of the digest of the output.
+     * @returns {Promise<?string>} Hex digest of the output, null if it could not be calculated.
+     */
+    async _applyPatch(diffType, basePath, patchPath, outputPath, checksumAlgo = null) {
+        const diffTool = DIFF_TOOLS[diffType]
+        const toolPath = await PatchFetcher.getToolPath(diffTool.tool)
+
+        // The tools write their output sequentially, so it is hashed while it grows.
+        // A leftover of a failed attempt would be hashed as well.
+        await fs.remove(outputPath)
+        let follower = null
+        if (checksumAlgo != null) {
+            try {
+                follower = new FileHashFollower(Util.createHash(checksumAlgo), outputPath, async () => {
+                    try {
+                        return (await fs.stat(outputPath)).size
+                    } catch (e) {
+                        return 0
+                    }
+                })
+            } catch (e) {
+                logger.warn(`Can not calculate digest of ${outputPath} while patching.`, e)
             }
         }
 
-        const patcherPath = await PatchFetcher.getPatcherPath()
-        const child = child_process.spawn(patcherPath, [
-            baseAsset.targetPath, patchTargetPath, targetPath,
-        ])
+        const child = child_process.spawn(toolPath, diffTool.args(basePath, patchPath, outputPath))
         child.stdout.setEncoding('utf8')
         child.stderr.setEncoding('utf8')
 
@@ -290,37 +1388,220 @@ class PatchFetcher extends Fetcher {
 
         child.stdout.on('data', (data) => loggerMCstdout.log(data))
         child.stderr.on('data', (data) => loggerMCstderr.error(data))
+        const release = this.controller.onInterrupt(() => child.kill())
         await new Promise((resolve, reject) => {
-            child.on('exit', (code) => {
+            child.on('exit', (code, signal) => {
                 if (code) {
                     reject(`Process exited with code ${code}.`)
+                } else if (signal) {
+                    reject(`Process was terminated with ${signal}.`)
                 } else {
                     resolve()
                 }
             })
             child.on('error', reject)
-        })
+        }).catch((error) => {
+            if (follower != null) {
+                follower.stop()
+            }
+            throw error
+        }).finally(release)
+
+        return follower != null ? follower.finish((await fs.stat(outputPath)).size) : null
+    }
+
+    reportFailure() {
+        for (const url of this._failedUrls) {
+            MirrorManager.reportFailure(url)
+        }
+    }
+
+    async plan() {
+        try {
+            const steps = this._parseSteps()
+            const {index: firstStep} = await this._findStart(steps)
+            const remainingSteps = steps.slice(firstStep)
+            for (const diffType of new Set(remainingSteps.map(step => step.diffType))) {
+                const diffTool = DIFF_TOOLS[diffType]
+                await PatchFetcher.getToolPath(diffTool.tool)
+            }
+            return {source: 'patch', network: true, bytes: remainingSteps.reduce((acc, step) => acc + step.patchLength, 0)}
+        } catch (e) {
+            return null
+        }
+    }
+
+    async fetch(targetPath) {
+        const steps = this._parseSteps()
+        const {index: firstStep, basePath} = await this._findStart(steps)
+        const remainingSteps = steps.slice(firstStep)
+        const totalPatchLength = remainingSteps.reduce((acc, step) => acc + step.patchLength, 0)
+
+        let virtualBytesLeft = this.assetSize
+        const self = this
+
+        // Progress of the patches is scaled to the asset size, the statistics get the real patch bytes.
+        class AdjustReporter {
+            download(bytes) {
+                const adjustLength = Math.floor(self.assetSize * bytes / totalPatchLength)
+                self.reporter.download(adjustLength, bytes)
+                virtualBytesLeft -= adjustLength
+            }
+
+            resume(bytes) {
+                const adjustLength = Math.floor(self.assetSize * bytes / totalPatchLength)
+                self.reporter.resume(adjustLength)
+                virtualBytesLeft -= adjustLength
+            }
+
+            reset() {
+                self.reporter.reset()
+                virtualBytesLeft = self.assetSize
+            }
+
+            get controller() {
+                return self.reporter.controller
+            }
+        }
+        const reporter = new AdjustReporter()
+
+        let inputPath = basePath
+        let digest = null
+        for (let i = 0; i < remainingSteps.length; i++) {
+            const step = remainingSteps[i]
+            const stepNumber = firstStep + i
+            const isLast = i === remainingSteps.length - 1
+            // A single patch keeps the plain '.patch' name, so partial downloads of it stay usable.
+            const patchPath = steps.length === 1 ? targetPath + '.patch' : `${targetPath}.${stepNumber}.patch`
+            const outputPath = isLast ? targetPath : `${targetPath}.${stepNumber}.tmp`
+
+            await this._downloadPatch(step, patchPath, reporter)
+            digest = await this._applyPatch(step.diffType, inputPath, patchPath, outputPath,
+                isLast ? this.checksumAlgo : step.resultChecksum.algo)
+
+            if (!isLast) {
+                const checksum = step.resultChecksum
+                const isValid = digest != null
+                    ? digest === checksum.hash && (await fs.stat(outputPath)).size === step.resultLength
+                    : await Util.validateLocal(outputPath, checksum.algo, checksum.hash, step.resultLength)
+                if (!isValid) {
+                    throw new Error(`Result of patch step ${stepNumber} for ${this.assetId} is not valid.`)
+                }
+                logger.info(`Patch step ${stepNumber} for ${this.assetId} produced a valid result.`)
+            }
+            if (inputPath !== basePath) {
+                await fs.remove(inputPath)
+            }
+            if (steps.length > 1) {
+                await fs.remove(patchPath)
+            }
+            inputPath = outputPath
+        }
+
         if (virtualBytesLeft > 0) {
-            this.reporter.download(virtualBytesLeft)
+            this.reporter.download(virtualBytesLeft, 0)
         }
+        StatsManager.recordSavedBytes(this.assetSize - totalPatchLength)
+        return digest
+    }
+}
+
+
+/** @type {Map<string, typeof Fetcher>} */
+const fetcherRegistry = new Map()
+
+/**
+ * Register a fetcher class for the url schemes it declares. A later registration
+ * of the same scheme replaces the previous one.
+ *
+ * @param {typeof Fetcher} fetcherClass
+ */
+function registerFetcher(fetcherClass) {
+    for (const scheme of fetcherClass.schemes) {
+        fetcherRegistry.set(scheme, fetcherClass)
+    }
+}
+
+registerFetcher(LocalDirectoryFetcher)
+registerFetcher(LanFetcher)
+registerFetcher(HttpFetcher)
+registerFetcher(TorrentFetcher)
+registerFetcher(PatchFetcher)
+
+/**
+ * Resolve the priority of the fetcher for the url scheme. The launcher configuration
+ * takes precedence over the version descriptor, which takes precedence over the default.
+ *
+ * @param {typeof Fetcher} fetcherClass
+ * @param {string} scheme
+ * @param {File} asset
+ * @returns {number}
+ */
+function resolvePriority(fetcherClass, scheme, asset) {
+    const configured = ConfigManager.getFetcherPriorities()
+    if (configured[scheme] != null) {
+        return configured[scheme]
+    }
+    if (asset.fetcherPriorities != null && asset.fetcherPriorities[scheme] != null) {
+        return asset.fetcherPriorities[scheme]
     }
+    return fetcherClass.defaultPriority
+}
+
+/**
+ * Resolve the retry policy of the fetcher type. Fields set in the launcher configuration
+ * take precedence over the defaults of the type.
+ *
+ * @param {typeof Fetcher} fetcherClass
+ * @returns {{attempts: number, baseDelay: number, maxDelay: number}}
+ */
+function resolveRetryPolicy(fetcherClass) {
+    return {...fetcherClass.defaultRetryPolicy, ...ConfigManager.getRetryPolicies()[fetcherClass.name]}
+}
+
+/**
+ * Exponential backoff with jitter, so the clients which failed together do not retry together.
+ *
+ * @param {{baseDelay: number, maxDelay: number}} policy
+ * @param {number} attempt Number of the failed attempt, starting from 1.
+ * @returns {number} Delay before the next attempt in milliseconds.
+ */
+function _retryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1))
+    return Math.round(delay / 2 + Math.random() * delay / 2)
 }
 
 
 class Reporter {
     /**
      * @param {EventEmitter} eventEmitter
+     * @param {DownloadController} controller
      */
-    constructor(eventEmitter) {
+    constructor(eventEmitter, controller = new DownloadController()) {
         this.eventEmitter = eventEmitter
+        this.controller = controller
     }
 
     error(err) {
         this.eventEmitter.emit('error', err)
     }
 
-    download(bytes) {
-        this.eventEmitter.emit('download', bytes)
+    /**
+     * @param {number} bytes Progress of the asset.
+     * @param {number} transferred Optional. Bytes actually fetched if they differ from the progress,
+     * e.g. a patch is smaller than the asset it produces.
+     */
+    download(bytes, transferred = bytes) {
+        this.eventEmitter.emit('download', bytes, transferred)
+    }
+
+    /**
+     * Reports bytes which were already present locally, e.g. a partially downloaded file.
+     *
+     * @param {number} bytes
+     */
+    resume(bytes) {
+        this.eventEmitter.emit('resume', bytes)
     }
 
     reset() {
@@ -338,45 +1619,243 @@ class Facade {
      * @param account
      * @param {Object.<string, Array.<File>>} reusableModules
      */
-    constructor(account, reusableModules, torrentsProxy, launcherVersion) {
+    constructor(account, reusableModules, torrentsProxy, launcherVersion, controller = new DownloadController()) {
         this.account = account
         this.reusableModules = reusableModules
         this.torrentsProxy = torrentsProxy
         this.launcherVersion = launcherVersion
+        this.controller = controller
+        this._lanPeers = null
+        /** @type {Map<string, Promise<boolean>>} */
+        this._validatedBases = new Map()
+    }
+
+    /**
+     * Validate a local file other assets are built from, e.g. a previous version of an asset or
+     * a patch base. Results are kept for the session, so planning and fetching hash it once.
+     *
+     * @param {File} base
+     * @returns {Promise<boolean>}
+     */
+    validateBase(base) {
+        const key = `${base.targetPath}\n${base.checksum && base.checksum.hash}`
+        let result = this._validatedBases.get(key)
+        if (result == null) {
+            result = base.validateLocal()
+            this._validatedBases.set(key, result)
+        }
+        return result
+    }
+
+    /**
+     * Discover the launchers in the local network once per download session.
+     *
+     * @returns {Promise.<Array.<string>>}
+     */
+    getLanPeers() {
+        if (this._lanPeers == null) {
+            this._lanPeers = LanManager.discoverPeers().then((peers) => {
+                logger.info(`Found ${peers.length} LAN peers.`)
+                return peers
+            })
+        }
+        return this._lanPeers
+    }
+
+    /**
+     * Waits for the delay, returns earlier if the downloads are paused or cancelled.
+     *
+     * @param {number} delay In milliseconds.
+     */
+    _sleep(delay) {
+        return new Promise(resolve => {
+            let timer = null
+            const release = this.controller.onInterrupt(() => {
+                clearTimeout(timer)
+                release()
+                resolve()
+            })
+            timer = setTimeout(() => {
+                release()
+                resolve()
+            }, delay)
+        })
     }
 
     /**
+     * Runs the fetcher, repeating it after the downloads were paused and resumed, and after
+     * retryable failures as long as the retry policy of the fetcher type allows.
+     *
+     * @param {Fetcher} fetcher
      * @param {File} asset
-     * @returns {EventEmitter}
+     * @param {Reporter} reporter
      */
-    async pull(asset) {
+    async _fetch(fetcher, asset, reporter) {
+        const fetcherType = fetcher.constructor.name
+        const policy = resolveRetryPolicy(fetcher.constructor)
+        let attempt = 1
+        for (;;) {
+            try {
+                return await fetcher.fetch(asset.targetPath)
+            } catch (e) {
+                if (!this.controller.isPaused()) {
+                    if (this.controller.isCancelled()) {
+                        throw e
+                    }
+                    if (attempt >= policy.attempts || !fetcher.isRetryable(e)) {
+                        fetcher.reportFailure()
+                        throw e
+                    }
+                    const delay = _retryDelay(policy, attempt)
+                    logger.warn(`Attempt ${attempt} of ${policy.attempts} to fetch asset ${asset.id} with fetcher ${fetcherType} failed, retrying in ${delay} ms.`, e)
+                    StatsManager.recordRetry(fetcherType)
+                    attempt++
+                    await this._sleep(delay)
+                }
+            }
+            try {
+                await this.controller.waitForResume()
+            } catch (e) {
+                throw `Fetching of asset ${asset.id} was cancelled.`
+            }
+            reporter.reset()
+        }
+    }
+
+    /**
+     * Drop the stored torrent of a file another fetcher replaced, neither its unfinished download
+     * is continued nor the old content seeded anymore. The torrent fetcher stores a new one itself.
+     *
+     * @param {File} asset
+     */
+    _forgetTorrent(asset) {
+        try {
+            TorrentDBManager.remove(asset.targetPath)
+        } catch (e) {
+            logger.warn(`Failed to forget the torrent of ${asset.targetPath}`, e)
+        }
+    }
+
+    /**
+     * Checks the fetched asset, using the digest calculated by the fetcher when there is one
+     * instead of reading the whole file again.
+     *
+     * @param {File} asset
+     * @param {?string} digest
+     * @returns {Promise<boolean>}
+     */
+    async _validate(asset, digest) {
+        if (digest == null || asset.checksum == null || asset.checksum.hash == null) {
+            return asset.validateLocal()
+        }
+        try {
+            const stats = await fs.stat(asset.targetPath)
+            if (asset.size != null && stats.size !== asset.size) {
+                return false
+            }
+        } catch (e) {
+            return false
+        }
+        if (digest !== asset.checksum.hash) {
+            return false
+        }
+        await asset.markValid()
+        return true
+    }
+
+    /**
+     * @param {File} asset
+     * @param {Reporter} reporter
+     * @returns {Promise<Array.<Fetcher>>} Fetchers of the asset in the order they are tried.
+     */
+    async _createFetchers(asset, reporter) {
         /** @type Array.<{fetcher:Fetcher,priority:number}> */
         const fetchers = []
 
-        const eventEmitter = new EventEmitter()
-        const reporter = new Reporter(eventEmitter)
-
         const previousVersions = this.reusableModules[asset.id]
         if (previousVersions) {
-            fetchers.push({fetcher: new PreviousVersionFetcher(reporter, asset, previousVersions), priority: 0})
+            fetchers.push({
+                fetcher: new PreviousVersionFetcher(reporter, asset, previousVersions, base => this.validateBase(base)),
+                priority: 0
+            })
         }
 
-        for (const url of asset.urls) {
-            const urlObj = new URL(url)
-            if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
-                fetchers.push({fetcher: new HttpFetcher(reporter, url, this.account, this.launcherVersion), priority: 3})
-            } else if (urlObj.protocol === 'magnet:') {
-                fetchers.push({fetcher: new TorrentFetcher(reporter, url, this.torrentsProxy), priority: 2})
-            } else if (urlObj.protocol === 'patch:') {
-                fetchers.push({fetcher: new PatchFetcher(reporter, url, this.account, asset, this.launcherVersion), priority: 1})
-            } else {
-                logger.warn('Unsupported url type for asset', asset.id)
+        for (const fetcherClass of new Set(fetcherRegistry.values())) {
+            const fetcher = await fetcherClass.createForAsset(reporter, asset, this)
+            if (fetcher != null) {
+                fetchers.push({fetcher, priority: resolvePriority(fetcherClass, fetcherClass.schemes[0], asset)})
+            }
+        }
+
+        for (const url of MirrorManager.sortUrls(asset.urls)) {
+            const scheme = new URL(url).protocol.slice(0, -1)
+            const fetcherClass = fetcherRegistry.get(scheme)
+            if (!fetcherClass) {
+                logger.warn(`Unsupported url type ${scheme} for asset`, asset.id)
+                continue
             }
+            fetchers.push({
+                fetcher: fetcherClass.create(reporter, url, asset, this),
+                priority: resolvePriority(fetcherClass, scheme, asset)
+            })
         }
 
         fetchers.sort((f1, f2) => f1.priority - f2.priority)
+        return fetchers.map(f => f.fetcher)
+    }
+
+    /**
+     * Find out which source would provide the asset, without fetching it.
+     *
+     * @param {File} asset
+     * @returns {Promise<{id: string, size: number, source: ?string, network: boolean, bytes: number}>}
+     * Source is null if none of the fetchers is able to provide the asset.
+     */
+    async plan(asset) {
+        const reporter = new Reporter(new EventEmitter(), this.controller)
+        for (const fetcher of await this._createFetchers(asset, reporter)) {
+            let step
+            try {
+                step = await fetcher.plan()
+            } catch (e) {
+                logger.warn(`Failed to plan asset ${asset.id} with fetcher ${fetcher.constructor.name}.`, e)
+                step = null
+            }
+            if (step) {
+                return {
+                    id: asset.id,
+                    size: asset.size,
+                    source: step.source,
+                    network: step.network,
+                    bytes: step.bytes != null ? step.bytes : asset.size
+                }
+            }
+        }
+        return {id: asset.id, size: asset.size, source: null, network: false, bytes: 0}
+    }
+
+    /**
+     * @param {File} asset
+     * @returns {EventEmitter}
+     */
+    async pull(asset) {
+        const eventEmitter = new EventEmitter()
+        const reporter = new Reporter(eventEmitter, this.controller)
+        const fetchers = await this._createFetchers(asset, reporter)
+
+        // Name of the fetcher type which is running, the statistics are collected per type.
+        let source = null
+        eventEmitter.on('download', (bytes, transferred) => StatsManager.recordBytes(source, transferred))
+        eventEmitter.on('reset', () => StatsManager.recordFallback())
 
         new Promise(async (resolve, reject) => {
+            try {
+                await this.controller.waitForResume()
+            } catch (e) {
+                reject(`Fetching of asset ${asset.id} was cancelled.`)
+                return
+            }
+
             try {
                 await fs.ensureDir(path.dirname(asset.targetPath))
             } catch (e) {
@@ -384,29 +1863,45 @@ class Facade {
                 return
             }
 
+            // Reason of the last failure, reported if no fetcher succeeds.
+            let lastFailure = 'No fetcher is able to provide it.'
             for (let i = 0; i < fetchers.length; i++) {
                 if (i > 0) {
                     reporter.reset()
                 }
 
-                let fetcher = fetchers[i].fetcher
+                let fetcher = fetchers[i]
+                source = fetcher.constructor.name
+                let digest
                 try {
-                    await fetcher.fetch(asset.targetPath)
+                    digest = await this._fetch(fetcher, asset, reporter)
                 } catch (e) {
+                    if (this.controller.isCancelled()) {
+                        reject(`Fetching of asset ${asset.id} was cancelled.`)
+                        return
+                    }
+                    StatsManager.recordFailure(asset.id, source, e)
+                    lastFailure = `${source}: ${e instanceof Error ? e.message : e}`
                     logger.warn(`Failed to fetch asset ${asset.id} with fetcher ${fetcher.constructor.name}: ${i < fetchers.length - 1 ? 'trying next fetcher' : 'no alternative fetchers left'}.`, e)
                     continue
                 }
 
-                const v = await asset.validateLocal()
+                const v = await this._validate(asset, digest)
                 if (v) {
+                    if (!(fetcher instanceof TorrentFetcher)) {
+                        this._forgetTorrent(asset)
+                    }
+                    StatsManager.recordSuccess(source)
                     resolve()
                     return
                 }
+                StatsManager.recordFailure(asset.id, source, 'Fetched file is not valid.')
+                lastFailure = `${source}: Fetched file is not valid.`
 
                 logger.warn(`Fetcher ${fetcher.constructor.name} produced invalid resource ${asset.id}: ${i < fetchers.length - 1 ? 'trying next fetcher' : 'no alternative fetchers left'}.`)
             }
 
-            reject(`Failed to fetch asset ${asset.id}.`)
+            reject(`Failed to fetch asset ${asset.id}. ${lastFailure}`)
         }).then(_ => reporter.done(), err => reporter.error(err))
 
         return eventEmitter
@@ -468,9 +1963,20 @@ function analyzePreviousVersionAssets(targetVersionMeta) {
 /**
  * @param account
  * @param {Version} targetVersionMeta
+ * @param {EventEmitter} torrentsProxy
+ * @param {string} launcherVersion
+ * @param {DownloadController} controller Optional. Allows to pause, resume or cancel the downloads.
  * @returns {Facade}
  */
-exports.init = async function (account, targetVersionMeta, torrentsProxy, launcherVersion) {
+exports.init = async function (account, targetVersionMeta, torrentsProxy, launcherVersion, controller = new DownloadController()) {
     const reusableModules = analyzePreviousVersionAssets(targetVersionMeta[1])
-    return new Facade(account, reusableModules, torrentsProxy, launcherVersion)
+    return new Facade(account, reusableModules, torrentsProxy, launcherVersion, controller)
 }
+
+exports.DownloadController = DownloadController
+exports.Fetcher = Fetcher
+exports.FetchError = FetchError
+exports.HttpFetcher = HttpFetcher
+exports.PatchFetcher = PatchFetcher
+exports.DIFF_TOOLS = DIFF_TOOLS
+exports.registerFetcher = registerFetcher
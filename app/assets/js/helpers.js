@@ -2,7 +2,10 @@ const EventEmitter = require('events')
 const fs = require('fs-extra')
 const {XXHash128} = require('xxhash-addon');
 const crypto = require('crypto')
+const {Transform} = require('stream')
 
+// Algorithms of the checksums in the distribution index and the tools manifest, provided by node.
+const CRYPTO_HASH_ALGORITHMS = new Set(['md5', 'sha1', 'sha256', 'sha512'])
 
 class TimeoutEmitter extends EventEmitter {
     constructor(ms, timeoutError) {
@@ -31,6 +34,98 @@ class TimeoutEmitter extends EventEmitter {
     }
 }
 
+/**
+ * Token bucket shared by the streams it throttles. The rate may be changed while
+ * the streams run, they follow the new rate at once.
+ */
+class ThrottleGroup {
+    /**
+     * @param {number} rate Bytes per second, Infinity for no limit.
+     * @param {number} chunkSize Largest chunk passed on at once.
+     */
+    constructor(rate, chunkSize) {
+        this.chunkSize = chunkSize
+        this._tokens = 0
+        this._lastFill = Date.now()
+        /** @type {Array.<{bytes: number, resolve: function()}>} */
+        this._waiting = []
+        this._timer = null
+        this.setRate(rate)
+    }
+
+    /**
+     * @param {number} rate Bytes per second, Infinity for no limit.
+     */
+    setRate(rate) {
+        this._fill()
+        this.rate = rate
+        // The bucket has to hold a whole chunk even under a tiny limit.
+        this._bucketSize = Math.max(rate, this.chunkSize)
+        this._tokens = Math.min(this._tokens, this._bucketSize)
+        this._drain()
+    }
+
+    /**
+     * @returns {Transform} Stream which passes the data on at the rate of the group.
+     */
+    throttle() {
+        const group = this
+        return new Transform({
+            async transform(chunk, encoding, callback) {
+                for (let offset = 0; offset < chunk.length; offset += group.chunkSize) {
+                    const part = chunk.slice(offset, offset + group.chunkSize)
+                    await group._take(part.length)
+                    this.push(part)
+                }
+                callback()
+            }
+        })
+    }
+
+    _isLimited() {
+        return Number.isFinite(this.rate)
+    }
+
+    _fill() {
+        const now = Date.now()
+        if (this._isLimited()) {
+            this._tokens = Math.min(this._bucketSize, this._tokens + (now - this._lastFill) * this.rate / 1000)
+        }
+        this._lastFill = now
+    }
+
+    /**
+     * @param {number} bytes
+     * @returns {Promise} Resolves once the bytes may be passed on.
+     */
+    _take(bytes) {
+        if (!this._isLimited()) {
+            return Promise.resolve()
+        }
+        return new Promise(resolve => {
+            this._waiting.push({bytes, resolve})
+            this._drain()
+        })
+    }
+
+    _drain() {
+        clearTimeout(this._timer)
+        this._timer = null
+        this._fill()
+        while (this._waiting.length > 0 && (!this._isLimited() || this._tokens >= this._waiting[0].bytes)) {
+            const {bytes, resolve} = this._waiting.shift()
+            if (this._isLimited()) {
+                this._tokens -= bytes
+            }
+            resolve()
+        }
+        if (this._waiting.length > 0) {
+            const wait = Math.ceil((this._waiting[0].bytes - this._tokens) * 1000 / this.rate)
+            this._timer = setTimeout(() => this._drain(), wait)
+        }
+    }
+}
+
 
 class Util {
 
@@ -57,6 +152,22 @@ class Util {
         return true
     }
 
+    /**
+     * Creates an incremental hash for the specified algorithm.
+     *
+     * @param {string} algo The hash algorithm.
+     * @returns {{update: function(Buffer), digest: function(): Buffer}} The hash object.
+     * @throws {string} If the algorithm is not supported.
+     */
+    static createHash(algo) {
+        if (CRYPTO_HASH_ALGORITHMS.has(algo)) {
+            return crypto.createHash(algo)
+        } else if (algo === 'xxh128') {
+            return new XXHash128()
+        }
+        throw 'Unsupported hash algorithm: ' + algo
+    }
+
     /**
      * Calculates the hash for a file using the specified algorithm.
      *
@@ -67,12 +178,10 @@ class Util {
     static calculateHash(filepath, algo) {
         return new Promise((resolve, reject) => {
             let hash
-            if (algo === 'sha512' || algo === 'md5') {
-                hash = crypto.createHash(algo)
-            } else if (algo === 'xxh128') {
-                hash = new XXHash128()
-            } else {
-                reject('Unsupported hash algorithm: ' + algo)
+            try {
+                hash = Util.createHash(algo)
+            } catch (e) {
+                reject(e)
                 return
             }
 
@@ -127,9 +236,26 @@ class Util {
         const hash = checksum[1]
         return {'algo': algo, 'hash': hash}
     }
+
+    /**
+     * Check if the hour falls into the window, which may span midnight.
+     * The same start and end hour stand for the whole day.
+     *
+     * @param {number} hour The hour to check, 0-23.
+     * @param {number} startHour First hour of the window.
+     * @param {number} endHour Hour when the window ends.
+     * @returns {boolean}
+     */
+    static isHourWithin(hour, startHour, endHour) {
+        if (startHour === endHour) {
+            return true
+        }
+        return startHour < endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour
+    }
 }
 
 module.exports = {
+    ThrottleGroup,
     TimeoutEmitter,
     Util,
 }
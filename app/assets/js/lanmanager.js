@@ -0,0 +1,269 @@
+const dgram = require('dgram')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const ConfigManager = require('./configmanager')
+const LoggerUtil = require('./loggerutil')
+const {ValidationDBManager} = require('./databasemanager')
+
+const logger = LoggerUtil('%c[LanManager]', 'color: #a02d2a; font-weight: bold')
+
+const DISCOVERY_PORT = 47625
+const DISCOVERY_MAGIC = 'BladeLauncher'
+const DISCOVERY_TIMEOUT = 1000
+
+
+function _sharedRoots() {
+    return {
+        applications: ConfigManager.getApplicationDirectory(),
+        instances: ConfigManager.getInstanceDirectory()
+    }
+}
+
+function _localInterfaces() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(iface => iface.family === 'IPv4' || iface.family === 4)
+}
+
+/**
+ * @returns {Array.<string>} Broadcast address of every IPv4 network plus the limited broadcast address.
+ */
+function _broadcastAddresses() {
+    const addresses = new Set(['255.255.255.255'])
+    for (const iface of _localInterfaces()) {
+        if (iface.internal) {
+            continue
+        }
+        const address = iface.address.split('.').map(Number)
+        const netmask = iface.netmask.split('.').map(Number)
+        addresses.add(address.map((octet, i) => (octet | ~netmask[i]) & 255).join('.'))
+    }
+    return [...addresses]
+}
+
+/**
+ * Check that the file was validated by its full hash and did not change since.
+ *
+ * @param {string} filePath
+ * @param {fs.Stats} stats
+ * @param {string} checksum Checksum in the 'algo:hash' form.
+ * @returns {boolean}
+ */
+function _isValidated(filePath, stats, checksum) {
+    const entry = ValidationDBManager.get(filePath)
+    return entry != null
+        && entry.size === stats.size
+        && entry.mtime === stats.mtimeMs
+        && entry.inode === String(stats.ino)
+        && entry.checksum === checksum
+}
+
+
+/**
+ * Serves validated files from the applications and instances directories to other
+ * launchers in the local network and answers their discovery queries.
+ */
+class LanShareServer {
+    constructor() {
+        this._httpServer = null
+        this._socket = null
+    }
+
+    isRunning() {
+        return this._httpServer != null
+    }
+
+    async start() {
+        await this.stop()
+
+        const httpServer = http.createServer((req, res) => {
+            this._handle(req, res).catch((err) => {
+                logger.warn(`Failed to serve ${req.url}`, err)
+                if (!res.headersSent) {
+                    res.writeHead(500)
+                }
+                res.end()
+            })
+        })
+        await new Promise((resolve, reject) => {
+            httpServer.once('error', reject)
+            httpServer.listen(0, resolve)
+        })
+        const port = httpServer.address().port
+
+        const socket = dgram.createSocket({type: 'udp4', reuseAddr: true})
+        socket.on('message', (message, rinfo) => {
+            let query
+            try {
+                query = JSON.parse(message.toString())
+            } catch (e) {
+                return
+            }
+            if (query.magic !== DISCOVERY_MAGIC || query.type !== 'query') {
+                return
+            }
+            const reply = Buffer.from(JSON.stringify({magic: DISCOVERY_MAGIC, type: 'announce', port}))
+            socket.send(reply, rinfo.port, rinfo.address)
+        })
+        socket.on('error', (err) => logger.warn('Discovery socket failed', err))
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('error', reject)
+                socket.bind(DISCOVERY_PORT, resolve)
+            })
+        } catch (err) {
+            httpServer.close()
+            socket.close()
+            throw err
+        }
+
+        this._httpServer = httpServer
+        this._socket = socket
+        logger.log(`Sharing game files on port ${port}`)
+    }
+
+    async stop() {
+        if (this._socket) {
+            this._socket.close()
+            this._socket = null
+        }
+        if (this._httpServer) {
+            const httpServer = this._httpServer
+            this._httpServer = null
+            await new Promise(resolve => httpServer.close(resolve))
+            logger.log('Stopped sharing game files')
+        }
+    }
+
+    /**
+     * Serve GET /files/<applications|instances>/<relative path>?checksum=<algo:hash>. Only files
+     * which were fully validated against the same checksum are served, nothing is hashed on request.
+     */
+    async _handle(req, res) {
+        if (req.method !== 'GET') {
+            res.writeHead(405)
+            res.end()
+            return
+        }
+
+        const url = new URL(req.url, 'http://localhost')
+        const checksum = url.searchParams.get('checksum')
+        const parts = url.pathname.split('/').slice(1).map(decodeURIComponent)
+        const roots = _sharedRoots()
+        if (parts[0] !== 'files' || !checksum || !Object.prototype.hasOwnProperty.call(roots, parts[1])) {
+            res.writeHead(404)
+            res.end()
+            return
+        }
+
+        const rootDirectory = roots[parts[1]]
+        const filePath = path.join(rootDirectory, ...parts.slice(2))
+        if (!filePath.startsWith(rootDirectory + path.sep)) {
+            res.writeHead(403)
+            res.end()
+            return
+        }
+
+        let stats
+        try {
+            stats = await fs.stat(filePath)
+        } catch (e) {
+            stats = null
+        }
+        if (stats == null || !stats.isFile() || !_isValidated(filePath, stats, checksum)) {
+            res.writeHead(404)
+            res.end()
+            return
+        }
+
+        const etag = `"${checksum.split(':', 2)[1]}"`
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            'ETag': etag
+        }
+        let start = 0
+        let end = stats.size - 1
+        let status = 200
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers['range'] || '')
+        const ifRange = req.headers['if-range']
+        if (range && (!ifRange || ifRange === etag)) {
+            start = Number(range[1])
+            end = range[2] ? Math.min(Number(range[2]), stats.size - 1) : end
+            if (start > end) {
+                res.writeHead(416, {'Content-Range': `bytes */${stats.size}`})
+                res.end()
+                return
+            }
+            status = 206
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`
+        }
+        headers['Content-Length'] = end - start + 1
+
+        res.writeHead(status, headers)
+        const reader = fs.createReadStream(filePath, {start, end})
+        reader.on('error', () => res.destroy())
+        reader.pipe(res)
+    }
+}
+
+
+/**
+ * Broadcast a discovery query and collect the launchers which answer in time.
+ * Answers of this machine are ignored.
+ *
+ * @param {number} timeout Optional. Time to wait for the answers in milliseconds.
+ * @returns {Promise.<Array.<string>>} Base urls of the found peers.
+ */
+exports.discoverPeers = function (timeout = DISCOVERY_TIMEOUT) {
+    return new Promise((resolve) => {
+        const ownAddresses = new Set(_localInterfaces().map(iface => iface.address))
+        const peers = new Set()
+        const socket = dgram.createSocket('udp4')
+
+        let timer = null
+        const finish = () => {
+            clearTimeout(timer)
+            try {
+                socket.close()
+            } catch (e) {
+                // Already closed.
+            }
+            resolve([...peers])
+        }
+
+        socket.on('error', (err) => {
+            logger.warn('Failed to discover LAN peers', err)
+            finish()
+        })
+        socket.on('message', (message, rinfo) => {
+            let answer
+            try {
+                answer = JSON.parse(message.toString())
+            } catch (e) {
+                return
+            }
+            if (answer.magic === DISCOVERY_MAGIC && answer.type === 'announce' && Number.isInteger(answer.port)
+                && !ownAddresses.has(rinfo.address)) {
+                peers.add(`http://${rinfo.address}:${answer.port}`)
+            }
+        })
+        socket.bind(() => {
+            socket.setBroadcast(true)
+            const query = Buffer.from(JSON.stringify({magic: DISCOVERY_MAGIC, type: 'query'}))
+            for (const address of _broadcastAddresses()) {
+                socket.send(query, DISCOVERY_PORT, address, (err) => {
+                    if (err) {
+                        logger.warn(`Failed to send discovery query to ${address}`, err)
+                    }
+                })
+            }
+            timer = setTimeout(finish, timeout)
+        })
+    })
+}
+
+exports.LanShareServer = LanShareServer
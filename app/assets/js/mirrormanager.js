@@ -0,0 +1,176 @@
+const net = require('net')
+
+const {MirrorDBManager} = require('./databasemanager')
+const LoggerUtil = require('./loggerutil')
+
+const logger = LoggerUtil('%c[MirrorManager]', 'color: #a02d2a; font-weight: bold')
+
+// Number of failures in a row after which the host is benched.
+const BENCH_THRESHOLD = 3
+const BENCH_COOLDOWN = 15 * 60 * 1000
+// Weight of the latest measurement in the moving averages.
+const SMOOTHING = 0.3
+
+// Hosts given by an ip address, e.g. LAN peers. Their addresses change, so they are kept for the session only.
+const ephemeralMirrors = new Map()
+
+
+function _getHost(url) {
+    try {
+        return new URL(url).host || null
+    } catch (e) {
+        return null
+    }
+}
+
+function _isEphemeral(host) {
+    return net.isIP(new URL(`http://${host}`).hostname.replace(/^\[|\]$/g, '')) !== 0
+}
+
+function _get(host) {
+    return _isEphemeral(host) ? ephemeralMirrors.get(host) : MirrorDBManager.get(host)
+}
+
+function _put(mirror) {
+    if (_isEphemeral(mirror.host)) {
+        ephemeralMirrors.set(mirror.host, mirror)
+    } else {
+        MirrorDBManager.put(mirror)
+    }
+}
+
+function _load(host) {
+    return _get(host) || {
+        host,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        throughput: null,
+        latency: null,
+        benchedUntil: 0
+    }
+}
+
+function _average(previous, current) {
+    if (current == null) {
+        return previous
+    }
+    return previous == null ? current : previous * (1 - SMOOTHING) + current * SMOOTHING
+}
+
+/**
+ * Record a successful download from the host of the given url.
+ *
+ * @param {string} url The url the file was downloaded from.
+ * @param {number} bytes Amount of bytes received.
+ * @param {number} duration Download duration in milliseconds.
+ * @param {?number} latency Time to the first response in milliseconds.
+ */
+exports.reportSuccess = function (url, bytes, duration, latency) {
+    const host = _getHost(url)
+    if (!host) {
+        return
+    }
+    try {
+        const mirror = _load(host)
+        mirror.successes++
+        mirror.consecutiveFailures = 0
+        mirror.benchedUntil = 0
+        if (bytes > 0 && duration > 0) {
+            mirror.throughput = _average(mirror.throughput, bytes * 1000 / duration)
+        }
+        mirror.latency = _average(mirror.latency, latency)
+        _put(mirror)
+    } catch (e) {
+        logger.warn(`Failed to save statistics of ${host}`, e)
+    }
+}
+
+/**
+ * Record a failed download from the host of the given url. Hosts which keep
+ * failing are benched for a cooldown period.
+ *
+ * @param {string} url The url which failed.
+ */
+exports.reportFailure = function (url) {
+    const host = _getHost(url)
+    if (!host) {
+        return
+    }
+    try {
+        const mirror = _load(host)
+        mirror.failures++
+        mirror.consecutiveFailures++
+        if (mirror.consecutiveFailures >= BENCH_THRESHOLD) {
+            mirror.benchedUntil = Date.now() + BENCH_COOLDOWN
+            logger.warn(`Host ${host} failed ${mirror.consecutiveFailures} times in a row, benching it.`)
+        }
+        _put(mirror)
+    } catch (e) {
+        logger.warn(`Failed to save statistics of ${host}`, e)
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} Whether the host of the url is benched at the moment.
+ */
+exports.isBenched = function (url) {
+    const host = _getHost(url)
+    if (!host) {
+        return false
+    }
+    const mirror = _get(host)
+    return mirror != null && mirror.benchedUntil > Date.now()
+}
+
+/**
+ * @param {string} url
+ * @returns {?number} Score of the host, higher is better. Null if the host was never used.
+ */
+exports.getScore = function (url) {
+    const host = _getHost(url)
+    const mirror = host ? _get(host) : null
+    if (!mirror || mirror.throughput == null) {
+        return null
+    }
+    const successRate = (mirror.successes + 1) / (mirror.successes + mirror.failures + 2)
+    return successRate * mirror.throughput / (1 + (mirror.latency || 0) / 1000)
+}
+
+/**
+ * Reorder the urls within each protocol so the best scored mirror goes first.
+ * Benched mirrors are dropped unless every mirror of the protocol is benched.
+ * Unknown mirrors get the average score, so they are still tried eventually.
+ *
+ * @param {Array.<string>} urls The urls in manifest order.
+ * @returns {Array.<string>} The reordered urls.
+ */
+exports.sortUrls = function (urls) {
+    const groups = new Map()
+    for (const url of urls) {
+        let protocol
+        try {
+            protocol = new URL(url).protocol
+        } catch (e) {
+            protocol = null
+        }
+        const group = groups.get(protocol) || []
+        group.push(url)
+        groups.set(protocol, group)
+    }
+
+    const result = []
+    for (const group of groups.values()) {
+        let candidates = group.filter(url => !exports.isBenched(url))
+        if (candidates.length === 0) {
+            candidates = group
+        }
+        const scores = new Map(candidates.map(url => [url, exports.getScore(url)]))
+        const known = [...scores.values()].filter(score => score != null)
+        const fallbackScore = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 0
+        const scoreOf = url => scores.get(url) != null ? scores.get(url) : fallbackScore
+        result.push(...candidates.sort((a, b) => scoreOf(b) - scoreOf(a)))
+    }
+    return result
+}
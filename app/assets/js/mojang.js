@@ -9,6 +9,7 @@
 const got = require('got')
 const crypto = require('crypto')
 const {remote} = require('electron')
+const ProxyManager = require('./proxymanager')
 const logger = require('./loggerutil')('%c[Mojang]', 'color: #a02d2a; font-weight: bold')
 
 // Constants
@@ -97,7 +98,8 @@ exports.status = function () {
         got.get('https://status.mojang.com/check',
             {
                 json: true,
-                timeout: 2500
+                timeout: 2500,
+                agent: ProxyManager.getGotAgent()
             },
             function (error, response, body) {
 
@@ -152,7 +154,8 @@ exports.authenticate = async (username, password, clientToken, requestUser = tru
     let errorData = {}
     try {
         const response = await got.post(authpath + '/authenticate', {
-            json: authJSON
+            json: authJSON,
+            agent: ProxyManager.getGotAgent()
         })
         return JSON.parse(response.body)
     } catch (error) {
@@ -209,7 +212,8 @@ exports.validate = async (accessToken, clientToken) => {
             json: {
                 'accessToken': accessToken,
                 'clientToken': clientToken
-            }
+            },
+            agent: ProxyManager.getGotAgent()
         })
         return response.statusCode === 204
     } catch (error) {
@@ -231,7 +235,8 @@ exports.invalidate = async (accessToken, clientToken) => {
         json: {
             'accessToken': accessToken,
             'clientToken': clientToken
-        }
+        },
+        agent: ProxyManager.getGotAgent()
     })
 
     if (response.statusCode !== 204) {
@@ -255,7 +260,8 @@ exports.refresh = async (accessToken, clientToken, requestUser = true) => {
             'accessToken': accessToken,
             'clientToken': clientToken,
             'requestUser': requestUser
-        }
+        },
+        agent: ProxyManager.getGotAgent()
     })
     if (response.statusCode !== 200) {
         throw new Error(response.body)
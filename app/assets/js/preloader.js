@@ -6,6 +6,7 @@ const path          = require('path')
 const ConfigManager = require('./configmanager')
 // const DistroManager = require('./distromanager')
 const LangLoader    = require('./langloader')
+const ProxyManager  = require('./proxymanager')
 const logger        = require('./loggerutil')('%c[Preloader]', 'color: #a02d2a; font-weight: bold')
 
 logger.log('Loading..')
@@ -13,6 +14,12 @@ logger.log('Loading..')
 // Load ConfigManager
 ConfigManager.load()
 
+// Apply the proxy settings and pass the system proxy on to the forked processes.
+// The proxy password may be moved from the configuration to the keychain first.
+ConfigManager.loadProxyPassword()
+    .then(() => ipcRenderer.invoke('proxy'))
+    .then(systemProxy => ProxyManager.setSystemProxy(systemProxy))
+
 // Load Strings
 LangLoader.loadLanguage('en_US')
 LangLoader.loadLanguage('ru_RU')
@@ -0,0 +1,172 @@
+const ProxyAgent = require('proxy-agent')
+
+const ConfigManager = require('./configmanager')
+const LoggerUtil = require('./loggerutil')
+
+const logger = LoggerUtil('%c[ProxyManager]', 'color: #a02d2a; font-weight: bold')
+
+// The system proxy is resolved by Electron, forked processes get it through this variable.
+const SYSTEM_PROXY_ENV = 'BLADE_SYSTEM_PROXY'
+// Url used to ask the system which proxy serves the launcher traffic.
+const PROBE_URL = 'https://www.northernblade.ru'
+
+/** @type {?{url: string, agent: ProxyAgent}} */
+let cached = null
+
+
+/**
+ * @param {string} proxyUrl
+ * @returns {string} The url with the configured credentials, unless it has its own.
+ */
+function _withAuth(proxyUrl) {
+    const username = ConfigManager.getProxyUsername()
+    if (!username) {
+        return proxyUrl
+    }
+    try {
+        const url = new URL(proxyUrl)
+        if (!url.username) {
+            url.username = username
+            url.password = ConfigManager.getProxyPassword() || ''
+        }
+        return url.toString()
+    } catch (e) {
+        return proxyUrl
+    }
+}
+
+/**
+ * @returns {?string} Proxy url detected in the environment, null if the traffic goes directly.
+ */
+function _getSystemProxy() {
+    const resolved = process.env[SYSTEM_PROXY_ENV]
+    if (resolved != null) {
+        return resolved === 'direct' ? null : resolved
+    }
+    const env = process.env
+    return env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy || null
+}
+
+/**
+ * Convert the first entry of a PAC result, e.g. 'PROXY host:3128; DIRECT', to a proxy url.
+ *
+ * @param {string} rules
+ * @returns {string} The proxy url, 'direct' if no proxy is used.
+ */
+function _parseProxyRules(rules) {
+    const [type, hostPort] = (rules.split(';')[0] || '').trim().split(/\s+/)
+    switch ((type || '').toUpperCase()) {
+        case 'PROXY':
+            return `http://${hostPort}`
+        case 'HTTPS':
+            return `https://${hostPort}`
+        case 'SOCKS':
+        case 'SOCKS4':
+            return `socks4://${hostPort}`
+        case 'SOCKS5':
+            return `socks5://${hostPort}`
+        default:
+            return 'direct'
+    }
+}
+
+/**
+ * @returns {?string} Url of the proxy for the launcher traffic, with the credentials. Null if there is none.
+ */
+exports.getProxyUrl = function () {
+    if (ConfigManager.getProxyAutodetect()) {
+        const systemProxy = _getSystemProxy()
+        return systemProxy ? _withAuth(systemProxy) : null
+    }
+    const proxyUrl = ConfigManager.getProxyUrl()
+    return proxyUrl ? _withAuth(proxyUrl) : null
+}
+
+/**
+ * @returns {?ProxyAgent} Agent which sends the requests through the proxy, null if there is no proxy.
+ */
+exports.getAgent = function () {
+    const proxyUrl = exports.getProxyUrl()
+    if (!proxyUrl) {
+        return null
+    }
+    if (cached == null || cached.url !== proxyUrl) {
+        try {
+            cached = {url: proxyUrl, agent: new ProxyAgent(proxyUrl)}
+        } catch (e) {
+            logger.warn('Invalid proxy settings, connecting directly.', e)
+            return null
+        }
+    }
+    return cached.agent
+}
+
+/**
+ * @returns {{http: ProxyAgent, https: ProxyAgent}|undefined} Value of the got 'agent' option.
+ */
+exports.getGotAgent = function () {
+    const agent = exports.getAgent()
+    return agent ? {http: agent, https: agent} : undefined
+}
+
+/**
+ * Remember the system proxy resolved in another process, so the processes forked
+ * from this one use it as well.
+ *
+ * @param {string} systemProxy The proxy url or 'direct'.
+ */
+exports.setSystemProxy = function (systemProxy) {
+    process.env[SYSTEM_PROXY_ENV] = systemProxy
+}
+
+/**
+ * Ask the system which proxy serves the launcher traffic.
+ *
+ * @param {Electron.Session} session
+ * @returns {Promise.<string>} The proxy url or 'direct'.
+ */
+exports.detectSystemProxy = async function (session) {
+    const systemProxy = _parseProxyRules(await session.resolveProxy(PROBE_URL))
+    exports.setSystemProxy(systemProxy)
+    logger.log(`System proxy: ${systemProxy}`)
+    return systemProxy
+}
+
+/**
+ * Apply the proxy settings to the Electron session, which serves the launcher window
+ * and the update feed. The credentials are provided on the 'login' event of the app.
+ *
+ * @param {Electron.Session} session
+ */
+exports.applyToSession = async function (session) {
+    if (ConfigManager.getProxyAutodetect()) {
+        await session.setProxy({mode: 'system'})
+        return
+    }
+    const proxyUrl = ConfigManager.getProxyUrl()
+    if (!proxyUrl) {
+        await session.setProxy({mode: 'direct'})
+        return
+    }
+    const url = new URL(proxyUrl)
+    await session.setProxy({mode: 'fixed_servers', proxyRules: `${url.protocol}//${url.host}`})
+}
+
+/**
+ * @returns {?{username: string, password: string}} Credentials for the proxy, null if none are configured.
+ */
+exports.getCredentials = function () {
+    const proxyUrl = exports.getProxyUrl()
+    if (!proxyUrl) {
+        return null
+    }
+    try {
+        const url = new URL(proxyUrl)
+        if (url.username) {
+            return {username: decodeURIComponent(url.username), password: decodeURIComponent(url.password)}
+        }
+    } catch (e) {
+        logger.warn('Invalid proxy url, the credentials are not used.')
+    }
+    return null
+}
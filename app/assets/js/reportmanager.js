@@ -11,6 +11,7 @@ const isDev = require('./isdev')
 
 const DistroManager = require('./distromanager')
 const ConfigManager = require('./configmanager')
+const ProxyManager = require('./proxymanager')
 
 const SUPPORT_URI = 'https://www.northernblade.ru/api/submit/support/request'
 
@@ -69,7 +70,13 @@ async function sendReport(filesList, archivePrefix, metaSubsection, metaDescript
 
     dumpForm.append(archivePrefix, zip.toBuffer(), {filename: `${archivePrefix}-${account.username}.zip`})
 
-    const res = await util.promisify(dumpForm.submit).bind(dumpForm)(SUPPORT_URI)
+    const supportUrl = new URL(SUPPORT_URI)
+    const res = await util.promisify(dumpForm.submit).bind(dumpForm)({
+        protocol: supportUrl.protocol,
+        host: supportUrl.hostname,
+        path: supportUrl.pathname,
+        agent: ProxyManager.getAgent() || undefined
+    })
     if (res.statusCode !== 204) {
         console.warn(`Failed to send report: ${res.statusMessage}`)
     }
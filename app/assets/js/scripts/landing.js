@@ -10,6 +10,7 @@ const {URL} = require('url')
 const DiscordWrapper = require('./assets/js/discordwrapper')
 const ProcessBuilder = require('./assets/js/basicprocessbuilder')
 const {LogsReporter} = require('./assets/js/reportmanager')
+const {Util} = require('./assets/js/helpers')
 
 // Launch Elements
 const launch_content = document.getElementById('launch_content')
@@ -17,9 +18,16 @@ const launch_details = document.getElementById('launch_details')
 const launch_progress = document.getElementById('launch_progress')
 const launch_progress_label = document.getElementById('launch_progress_label')
 const launch_details_text = document.getElementById('launch_details_text')
+const launch_details_actions = document.getElementById('launch_details_actions')
+const launch_pause_button = document.getElementById('launch_pause_button')
+const launch_cancel_button = document.getElementById('launch_cancel_button')
 const server_selection_button = document.getElementById('server_selection_button')
 const user_text = document.getElementById('user_text')
 
+// Whether the downloads are paused and the details text to restore once they resume.
+let downloadsPaused = false
+let detailsBeforePause = null
+
 const log = require('electron-log')
 const loggerLanding = LoggerUtil('%c[Landing]', 'color: #000668; font-weight: bold')
 
@@ -31,6 +39,7 @@ const loggerLanding = LoggerUtil('%c[Landing]', 'color: #000668; font-weight: bo
  * @param {boolean} loading True if the loading area should be shown, otherwise false.
  */
 function toggleLaunchArea(loading) {
+    toggleDownloadActions(false)
     if (loading) {
         launch_details.style.display = 'flex'
         launch_content.style.display = 'none'
@@ -40,6 +49,19 @@ function toggleLaunchArea(loading) {
     }
 }
 
+/**
+ * Show/hide the buttons which pause, resume and cancel the downloads.
+ *
+ * @param {boolean} show True if the buttons should be shown, otherwise false.
+ */
+function toggleDownloadActions(show) {
+    downloadsPaused = false
+    launch_pause_button.innerHTML = Lang.queryJS('landing.launch.pause')
+    launch_pause_button.disabled = false
+    launch_cancel_button.disabled = false
+    launch_details_actions.style.display = show ? 'flex' : 'none'
+}
+
 /**
  * Set the details text of the loading area.
  *
@@ -90,6 +112,47 @@ document.getElementById('launch_button').addEventListener('click', function (e)
     dlAsync()
 })
 
+// Bind pause button
+launch_pause_button.addEventListener('click', function (e) {
+    e.target.blur()
+    if (aEx == null || !aEx.connected) {
+        return
+    }
+    downloadsPaused = !downloadsPaused
+    aEx.send({
+        task: 'execute',
+        function: downloadsPaused ? 'pauseDownloads' : 'resumeDownloads',
+        argsArr: []
+    })
+    if (downloadsPaused) {
+        loggerLanding.log('Pausing downloads..')
+        detailsBeforePause = launch_details_text.innerHTML
+        setLaunchDetails(Lang.queryJS('landing.launch.paused'))
+        launch_pause_button.innerHTML = Lang.queryJS('landing.launch.resume')
+    } else {
+        loggerLanding.log('Resuming downloads..')
+        setLaunchDetails(detailsBeforePause)
+        launch_pause_button.innerHTML = Lang.queryJS('landing.launch.pause')
+    }
+})
+
+// Bind cancel button
+launch_cancel_button.addEventListener('click', function (e) {
+    e.target.blur()
+    if (aEx == null || !aEx.connected) {
+        return
+    }
+    loggerLanding.log('Cancelling downloads..')
+    launch_pause_button.disabled = true
+    launch_cancel_button.disabled = true
+    setLaunchDetails(Lang.queryJS('landing.launch.cancelling'))
+    aEx.send({
+        task: 'execute',
+        function: 'cancelDownloads',
+        argsArr: []
+    })
+})
+
 // Bind settings button
 document.getElementById('settingsMediaButton').onclick = (e) => {
     prepareSettings()
@@ -179,6 +242,80 @@ function showLaunchFailure(title, desc, accept = 'Okay', handler = null) {
     toggleLaunchArea(false)
 }
 
+/**
+ * Format an amount of bytes for display.
+ *
+ * @param {number} bytes
+ * @returns {string} The human readable size.
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB']
+    let i = 0
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024
+        i++
+    }
+    return `${bytes.toFixed(i > 1 ? 2 : 0)} ${units[i]}`
+}
+
+/**
+ * Describe the disk space shortfall reported by AssetGuard.
+ *
+ * @param {{path: string, required: number, available: number, shortfall: number}} details
+ * @returns {string} The description HTML.
+ */
+function describeDiskSpaceShortfall(details) {
+    return [
+        `${Lang.queryJS('landing.diskSpace.desc')} ${details.path}`,
+        `${Lang.queryJS('landing.diskSpace.required')} ${formatBytes(details.required)}`,
+        `${Lang.queryJS('landing.diskSpace.available')} ${formatBytes(details.available)}`,
+        `${Lang.queryJS('landing.diskSpace.shortfall')} ${formatBytes(details.shortfall)}`
+    ].join('<br>')
+}
+
+/**
+ * Describe the files which AssetGuard failed to download.
+ *
+ * @param {Array.<{id: string, reason: string}>} failed
+ * @returns {string} The description HTML.
+ */
+function describeFailedAssets(failed) {
+    const shown = 10
+    const lines = [`${Lang.queryJS('landing.downloadFailed.desc')} ${failed.length}`]
+    for (const {id, reason} of failed.slice(0, shown)) {
+        lines.push(`${id}: ${reason}`)
+    }
+    if (failed.length > shown) {
+        lines.push(`${Lang.queryJS('landing.downloadFailed.more')} ${failed.length - shown}`)
+    }
+    return lines.join('<br>')
+}
+
+/**
+ * Describe the download plan reported by AssetGuard.
+ *
+ * @param {{files: Array.<Object>, sources: Object.<string, {count: number, bytes: number}>, network: number, local: number, unavailable: Array.<string>}} plan
+ * @returns {string} The description HTML.
+ */
+function describeDownloadPlan(plan) {
+    const lines = [
+        Lang.queryJS('landing.downloadPlan.desc'),
+        `${Lang.queryJS('landing.downloadPlan.files')} ${plan.files.length}`
+    ]
+    for (const [source, {count, bytes}] of Object.entries(plan.sources)) {
+        const name = Lang.queryJS(`landing.downloadPlan.sources.${source}`) || source
+        lines.push(`${name}: ${count} (${formatBytes(bytes)})`)
+    }
+    lines.push(
+        `${Lang.queryJS('landing.downloadPlan.network')} ${formatBytes(plan.network)}`,
+        `${Lang.queryJS('landing.downloadPlan.local')} ${formatBytes(plan.local)}`
+    )
+    if (plan.unavailable.length > 0) {
+        lines.push(`${Lang.queryJS('landing.downloadPlan.unavailable')} ${plan.unavailable.length}`)
+    }
+    return lines.join('<br>')
+}
+
 // Keep reference to Game Process
 let pb
 // Is DiscordRPC enabled
@@ -192,14 +329,31 @@ let aEx
 let serv
 let versionData
 let forgeData
+// Directories with the files of the running game.
+let gameDirectories = null
 
 let progressListener
 
+/**
+ * Disconnect from AssetExec unless it has already exited or been disconnected.
+ */
+function disconnectAssetExec() {
+    if (aEx != null && aEx.connected) {
+        aEx.disconnect()
+    }
+}
+
 function dlAsync(login = true) {
 
     // Login parameter is temporary for debug purposes. Allows testing the validation/downloads without
     // launching the game.
 
+    // A background update would write the same files, the launch continues once it stopped.
+    if (backgroundUpdateExec != null) {
+        stopBackgroundUpdate().then(() => dlAsync(login))
+        return
+    }
+
     if (login) {
         if (ConfigManager.getSelectedAccount() == null) {
             loggerLanding.error('You must be logged into an account.')
@@ -296,6 +450,7 @@ function dlAsync(login = true) {
                     setLaunchPercentage(100, 100)
                     loggerLaunchSuite.log('File validation complete.')
                     setLaunchDetails('Скачивание игровых ресурсов..')
+                    toggleDownloadActions(true)
                     break
             }
         } else if (m.context === 'progress') {
@@ -336,6 +491,7 @@ function dlAsync(login = true) {
                 case 'download':
                     // Download and extraction complete, remove the loading from the OS progress bar.
                     remote.getCurrentWindow().setProgressBar(-1)
+                    toggleDownloadActions(false)
                     if (progressListener != null) {
                         clearInterval(progressListener)
                         progressListener = null
@@ -354,6 +510,8 @@ function dlAsync(login = true) {
                             'Download Error',
                             'Could not connect to the file server. Ensure that you are connected to the internet and try again.'
                         )
+                    } else if (m.error.failed != null) {
+                        showLaunchFailure('Download Error', describeFailedAssets(m.error.failed))
                     } else {
                         showLaunchFailure(
                             'Download Error',
@@ -364,9 +522,50 @@ function dlAsync(login = true) {
                     remote.getCurrentWindow().setProgressBar(-1)
 
                     // Disconnect from AssetExec
-                    aEx.disconnect()
+                    disconnectAssetExec()
                     break
+                case 'diskspace':
+                    loggerLaunchSuite.error('Not enough disk space:', m.error)
+                    showLaunchFailure(Lang.queryJS('landing.diskSpace.title'), describeDiskSpaceShortfall(m.error))
+                    disconnectAssetExec()
+                    break
+                case 'cancelled':
+                    loggerLaunchSuite.log('Downloads were cancelled.')
+                    remote.getCurrentWindow().setProgressBar(-1)
+                    toggleLaunchArea(false)
+
+                    // Several queues report the cancellation, disconnect only once.
+                    disconnectAssetExec()
+                    break
+            }
+        } else if (m.context === 'planEverything') {
+            const plan = m.result.plan
+            if (plan == null || plan.files.length === 0) {
+                if (m.result.error) {
+                    // Validation reports the error properly.
+                    loggerLaunchSuite.warn('Unable to plan the downloads:', m.result.error)
+                }
+                validateEverything()
+                return
             }
+
+            loggerLaunchSuite.log(`Download plan: ${plan.files.length} files, ${plan.network} bytes over the network, ${plan.local} bytes copied locally.`)
+            setOverlayContent(
+                Lang.queryJS('landing.downloadPlan.title'),
+                describeDownloadPlan(plan),
+                Lang.queryJS('landing.downloadPlan.accept'),
+                Lang.queryJS('landing.downloadPlan.cancel')
+            )
+            setOverlayHandler(() => {
+                toggleOverlay(false)
+                validateEverything()
+            })
+            setDismissHandler(() => {
+                toggleOverlay(false)
+                toggleLaunchArea(false)
+                disconnectAssetExec()
+            })
+            toggleOverlay(true, true)
         } else if (m.context === 'validateEverything') {
 
             if (typeof m.result.error === 'string' && m.result.error.startsWith('Required launcher version: ')) {
@@ -384,11 +583,20 @@ function dlAsync(login = true) {
                 switchView(getCurrentView(), VIEWS.settings, 500, 500, () => {
                     settingsNavItemListener(document.getElementById('settingsNavUpdate'), false)
                 })
-                aEx.disconnect()
+                disconnectAssetExec()
 
                 return
             }
 
+            // Already reported through the 'diskspace' error.
+            if (m.result.error === 'Not enough disk space') {
+                return
+            }
+            // Already reported through the 'download' or 'cancelled' error.
+            if (m.result.error != null && m.result.error.failed != null) {
+                return
+            }
+
             // Workaround for missing requirements
             if (m.result.error === 'Requirements missing') {
                 showLaunchFailure(
@@ -396,7 +604,7 @@ function dlAsync(login = true) {
                     Lang.queryJS('requirements.desc'),
                     Lang.queryJS('requirements.accept')
                 )
-                aEx.disconnect()
+                disconnectAssetExec()
                 return
             }
             // If these properties are not defined it's likely an error.
@@ -405,7 +613,7 @@ function dlAsync(login = true) {
                 await LogsReporter.report(remote.app.getVersion()).catch(console.warn)
                 showLaunchFailure('Error During Launch', 'Please check the console (CTRL + Shift + i) for more details.')
 
-                aEx.disconnect()
+                disconnectAssetExec()
                 return
             }
 
@@ -429,6 +637,8 @@ function dlAsync(login = true) {
                     pb.addErrorListener(gameGlobalErrorListener).addCloseListener((code, signal) => {
                         toggleLaunchArea(false)
                         pb = null
+                        gameDirectories = null
+                        resumeAfterGame()
                     })
 
                     // Init Discord Hook
@@ -444,9 +654,10 @@ function dlAsync(login = true) {
                     }
 
                     pb.build()
+                    gameDirectories = m.result.gameDirectories
+                    suspendForGame()
                     setLaunchDetails('Клиент запущен, приятной игры!')
                     await LogsReporter.truncateLogs()
-                    // await TorrentHolder.startSeeding()
                 } catch (err) {
                     loggerLaunchSuite.error('Error during launch', err)
                     await LogsReporter.report(remote.app.getVersion()).catch(console.warn)
@@ -455,11 +666,19 @@ function dlAsync(login = true) {
             }
 
             // Disconnect from AssetExec
-            aEx.disconnect()
+            disconnectAssetExec()
 
         }
     })
 
+    const validateEverything = () => {
+        aEx.send({
+            task: 'execute',
+            function: 'validateEverything',
+            argsArr: [ConfigManager.getSelectedServer(), DistroManager.isDevMode()]
+        })
+    }
+
     // Begin Validations
 
     // Validate Forge files.
@@ -470,19 +689,214 @@ function dlAsync(login = true) {
             return onDistroRefresh(data).then(() => {
                 const channels = ConfigManager.getReleaseChannels()
                 serv = data.getServer(ConfigManager.getSelectedServer(), channels)
+                // The plan is shown before anything is fetched, validation starts once it is accepted.
                 aEx.send({
                     task: 'execute',
-                    function: 'validateEverything',
+                    function: 'planEverything',
                     argsArr: [ConfigManager.getSelectedServer(), DistroManager.isDevMode()]
                 })
             })
         }, (err) => {
             loggerLaunchSuite.error('Unable to refresh distribution index.', err)
             // Disconnect from AssetExec
-            aEx.disconnect()
+            disconnectAssetExec()
+        })
+}
+
+/**
+ * Game Session
+ */
+
+/**
+ * Pause or throttle seeding, as configured, while the launched game is running.
+ */
+function suspendForGame() {
+    const mode = ConfigManager.getGameSessionMode()
+    if (mode !== 'keep') {
+        ipcRenderer.send('torrents', 'gameStarted', mode, ConfigManager.getGameSessionSpeedLimit())
+    }
+}
+
+/**
+ * Restore seeding once the game is closed.
+ */
+function resumeAfterGame() {
+    ipcRenderer.send('torrents', 'gameClosed')
+}
+
+/**
+ * @returns {number} Bandwidth cap of a background update in KB/s, 0 if there is no cap.
+ */
+function getBackgroundUpdateSpeedLimit() {
+    const speedLimit = ConfigManager.getBackgroundUpdateSpeedLimit()
+    if (pb == null || ConfigManager.getGameSessionMode() !== 'throttle') {
+        return speedLimit
+    }
+    const gameLimit = ConfigManager.getGameSessionSpeedLimit()
+    return speedLimit > 0 ? Math.min(speedLimit, gameLimit) : gameLimit
+}
+
+/**
+ * Background Updates
+ */
+
+// How often the schedule is checked while the launcher is in the tray.
+const BACKGROUND_UPDATE_CHECK_INTERVAL = 60 * 1000
+
+let backgroundUpdateTimer = null
+let backgroundUpdateExec = null
+let lastBackgroundUpdate = 0
+
+/**
+ * @param {Date} date
+ * @returns {boolean} Whether the hour of the date is within the time window of background updates.
+ */
+function isBackgroundUpdateAllowed(date) {
+    return Util.isHourWithin(date.getHours(), ConfigManager.getBackgroundUpdateStartHour(), ConfigManager.getBackgroundUpdateEndHour())
+}
+
+/**
+ * Start a background update if one is due.
+ */
+function checkBackgroundUpdate() {
+    if (!ConfigManager.getBackgroundUpdates() || !isBackgroundUpdateAllowed(new Date())) {
+        return
+    }
+    if (pb != null && ConfigManager.getGameSessionMode() === 'pause') {
+        return
+    }
+    if (Date.now() - lastBackgroundUpdate < ConfigManager.getBackgroundUpdateInterval() * 60 * 1000) {
+        return
+    }
+    runBackgroundUpdate()
+}
+
+/**
+ * Refresh the distribution and download the new files of the selected server in a forked
+ * AssetExec. Nothing is done while the game files are validated in the foreground, the
+ * files of a running game are left for its next launch.
+ */
+function runBackgroundUpdate() {
+    if (backgroundUpdateExec != null || (aEx != null && aEx.connected) || repairAEx != null) {
+        return
+    }
+    if (ConfigManager.getSelectedAccount() == null || ConfigManager.getSelectedServer() == null) {
+        return
+    }
+    lastBackgroundUpdate = Date.now()
+
+    const loggerBackgroundUpdate = LoggerUtil('%c[BackgroundUpdate]', 'color: #000668; font-weight: bold')
+    loggerBackgroundUpdate.log('Checking for updates..')
+
+    const forkEnv = JSON.parse(JSON.stringify(process.env))
+    forkEnv.CONFIG_DIRECT_PATH = ConfigManager.getLauncherDirectory()
+    const updateExec = cp.fork(path.join(__dirname, 'assets', 'js', 'assetexec.js'), [
+        'AssetGuard',
+        remote.app.getVersion()
+    ], {
+        env: forkEnv,
+        stdio: 'pipe'
+    })
+    backgroundUpdateExec = updateExec
+    updateExec.stdio[1].setEncoding('utf8')
+    updateExec.stdio[1].on('data', (data) => log.info(data))
+    updateExec.stdio[2].setEncoding('utf8')
+    updateExec.stdio[2].on('data', (data) => log.info(data))
+
+    const speedLimit = getBackgroundUpdateSpeedLimit()
+    const listener = (event, ...args) => {
+        updateExec.send({
+            task: 'execute',
+            function: 'torrentsNotification',
+            argsArr: args
+        })
+    }
+    ipcRenderer.on('torrentsNotification', listener)
+    if (speedLimit > 0) {
+        ipcRenderer.send('torrents', 'throttle', speedLimit)
+    }
+
+    updateExec.on('close', (code) => {
+        ipcRenderer.removeListener('torrentsNotification', listener)
+        if (speedLimit > 0) {
+            ipcRenderer.send('torrents', 'throttle', null)
+        }
+        if (code !== 0) {
+            loggerBackgroundUpdate.warn(`AssetExec exited with code ${code}.`)
+        }
+        if (backgroundUpdateExec === updateExec) {
+            backgroundUpdateExec = null
+        }
+    })
+
+    updateExec.on('message', (m) => {
+        if (m.context === 'torrents') {
+            ipcRenderer.send.apply(ipcRenderer, ['torrents', ...m.args])
+        } else if (m.context === 'updateEverything') {
+            if (m.result.report != null) {
+                const {updated, skipped} = m.result.report
+                loggerBackgroundUpdate.log(`Updated ${updated.length} files, ${skipped.length} files are left for the next launch.`)
+            } else {
+                loggerBackgroundUpdate.warn('Background update failed:', m.result.error)
+            }
+            updateExec.disconnect()
+        }
+    })
+
+    DistroManager.refresh()
+        .then((data) => {
+            if (data == null || data.getServer(ConfigManager.getSelectedServer(), ConfigManager.getReleaseChannels()) == null) {
+                loggerBackgroundUpdate.log('Selected server is not available, nothing to update.')
+                updateExec.disconnect()
+                return
+            }
+            updateExec.send({
+                task: 'execute',
+                function: 'updateEverything',
+                argsArr: [ConfigManager.getSelectedServer(), DistroManager.isDevMode(), gameDirectories || [], speedLimit]
+            })
+        }, (err) => {
+            loggerBackgroundUpdate.warn('Unable to refresh distribution index.', err)
+            updateExec.disconnect()
         })
 }
 
+/**
+ * Cancel the running background update. Partial files are kept for the next one.
+ *
+ * @returns {Promise.<void>} Resolved once the forked AssetExec exited.
+ */
+function stopBackgroundUpdate() {
+    const updateExec = backgroundUpdateExec
+    if (updateExec == null) {
+        return Promise.resolve()
+    }
+    return new Promise((resolve) => {
+        updateExec.once('close', () => resolve())
+        if (updateExec.connected) {
+            updateExec.send({task: 'execute', function: 'cancelDownloads', argsArr: []})
+            updateExec.disconnect()
+        }
+    })
+}
+
+ipcRenderer.on('backgroundUpdateNotification', (event, cmd) => {
+    switch (cmd) {
+        case 'hidden':
+            if (backgroundUpdateTimer == null) {
+                backgroundUpdateTimer = setInterval(checkBackgroundUpdate, BACKGROUND_UPDATE_CHECK_INTERVAL)
+            }
+            break
+        case 'shown':
+            clearInterval(backgroundUpdateTimer)
+            backgroundUpdateTimer = null
+            break
+        case 'updateNow':
+            runBackgroundUpdate()
+            break
+    }
+})
+
 /**
  * News Loading Functions
  */
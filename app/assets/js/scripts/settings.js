@@ -4,6 +4,8 @@ const semver = require('semver')
 const dialog = require('electron').remote.dialog
 
 const DropinModUtil = require('./assets/js/dropinmodutil')
+const ProxyManager = require('./assets/js/proxymanager')
+const StatsManager = require('./assets/js/statsmanager')
 
 const settingsState = {
     invalid: new Set()
@@ -52,6 +54,17 @@ document.getElementById('settingsDataDirSel').addEventListener('click', async ()
     }
 })
 
+document.getElementById('settingsLocalSourceSel').addEventListener('click', async () => {
+    const sourceFolderPath = await dialog.showOpenDialog(remote.getCurrentWindow(), {
+        properties: ['openDirectory']
+    })
+    if (sourceFolderPath.filePaths[0] !== undefined) {
+        document.getElementById('settingsLocalSourceVal').value = sourceFolderPath.filePaths[0]
+        ConfigManager.setLocalSourceDirectory(sourceFolderPath.filePaths[0])
+        ConfigManager.save()
+    }
+})
+
 
 /**
  * General Settings Functions
@@ -109,7 +122,7 @@ function initSettingsValues() {
         }
         switch (v.tagName) {
             case 'INPUT':
-                if (v.type === 'number' || v.type === 'text') {
+                if (v.type === 'number' || v.type === 'text' || v.type === 'password') {
                     // Special Conditions
                     if (cVal === 'JavaExecutable') {
                         // populateJavaExecDetails(v.value)
@@ -125,6 +138,9 @@ function initSettingsValues() {
                     v.checked = gFn()
                 }
                 break
+            case 'SELECT':
+                v.value = gFn()
+                break
             case 'DIV':
                 if (v.classList.contains('rangeSlider')) {
                     // Special Conditions
@@ -160,7 +176,7 @@ function saveSettingsValues() {
         }
         switch (v.tagName) {
             case 'INPUT':
-                if (v.type === 'number' || v.type === 'text') {
+                if (v.type === 'number' || v.type === 'text' || v.type === 'password') {
                     // Special Conditions
                     if (cVal === 'JVMOptions') {
                         sFn(v.value.split(' '))
@@ -175,6 +191,9 @@ function saveSettingsValues() {
                     }
                 }
                 break
+            case 'SELECT':
+                sFn(v.value)
+                break
             case 'DIV':
                 if (v.classList.contains('rangeSlider')) {
                     // Special Conditions
@@ -288,8 +307,14 @@ function settingsSaveDisabled(v) {
 /* Closes the settings view and saves all data. */
 settingsNavDone.onclick = () => {
     saveSettingsValues()
+    saveSpeedSchedule()
     // saveModConfiguration()
     ConfigManager.save()
+    ipcRenderer.send('lanSharing', ConfigManager.getLanSharing() ? 'start' : 'stop')
+    ConfigManager.storeProxyPassword()
+        .then(() => ipcRenderer.invoke('proxy'))
+        .then(systemProxy => ProxyManager.setSystemProxy(systemProxy))
+    ipcRenderer.send('torrents', 'limits')
     // saveDropinModConfiguration()
     // saveShaderpackSettings()
     const data = DistroManager.getDistribution()
@@ -1169,6 +1194,500 @@ function prepareJavaTab() {
     populateMemoryStatus()
 }
 
+/**
+ * Launcher Tab (Proxy)
+ */
+
+document.getElementById('settingsProxyUsername').setAttribute('placeholder', Lang.queryJS('settings.tabLauncher.proxyUsername'))
+document.getElementById('settingsProxyPassword').setAttribute('placeholder', Lang.queryJS('settings.tabLauncher.proxyPassword'))
+
+/**
+ * Launcher Tab (Speed Schedule)
+ */
+
+const settingsSpeedScheduleEntries = document.getElementById('settingsSpeedScheduleEntries')
+
+/**
+ * @param {?number} limit Limit in KB/s, Number.MAX_VALUE if there is none.
+ * @returns {string} Value of the limit input, empty to keep the static limit and 0 for no limit.
+ */
+function formatScheduleLimit(limit) {
+    if (limit == null) {
+        return ''
+    }
+    return limit === Number.MAX_VALUE ? '0' : String(limit)
+}
+
+/**
+ * @param {string} value Value of the limit input.
+ * @returns {?number} Limit in KB/s, null to keep the static limit.
+ */
+function parseScheduleLimit(value) {
+    const limit = Number.parseInt(value)
+    if (!Number.isInteger(limit) || limit < 0) {
+        return null
+    }
+    return limit === 0 ? Number.MAX_VALUE : limit
+}
+
+/**
+ * Add a row for a schedule entry.
+ *
+ * @param {{startHour: number, endHour: number, downloadLimit: ?number, uploadLimit: ?number}} entry
+ */
+function addSpeedScheduleEntry(entry) {
+    const row = document.createElement('div')
+    row.className = 'settingsSpeedScheduleEntry'
+    const createInput = (name, value, placeholder) => {
+        const input = document.createElement('input')
+        input.type = 'number'
+        input.min = 0
+        input.value = value
+        input.setAttribute('name', name)
+        if (placeholder) {
+            input.setAttribute('placeholder', placeholder)
+        }
+        return input
+    }
+    const dash = document.createElement('div')
+    dash.className = 'settingsSpeedScheduleDash'
+    dash.innerHTML = '&ndash;'
+    const remove = document.createElement('button')
+    remove.className = 'settingsSpeedScheduleRemove'
+    remove.innerHTML = '&#10006;'
+    remove.onclick = () => row.remove()
+
+    row.appendChild(createInput('startHour', entry.startHour))
+    row.appendChild(dash)
+    row.appendChild(createInput('endHour', entry.endHour))
+    row.appendChild(createInput('downloadLimit', formatScheduleLimit(entry.downloadLimit), Lang.queryJS('settings.tabLauncher.scheduleDownload')))
+    row.appendChild(createInput('uploadLimit', formatScheduleLimit(entry.uploadLimit), Lang.queryJS('settings.tabLauncher.scheduleUpload')))
+    row.appendChild(remove)
+    settingsSpeedScheduleEntries.appendChild(row)
+}
+
+document.getElementById('settingsSpeedScheduleAdd').onclick = () => {
+    addSpeedScheduleEntry({startHour: 0, endHour: 0, downloadLimit: null, uploadLimit: null})
+}
+
+/**
+ * Load the speed schedule onto the UI.
+ */
+function prepareSpeedSchedule() {
+    settingsSpeedScheduleEntries.innerHTML = ''
+    for (const entry of ConfigManager.getSpeedSchedule()) {
+        addSpeedScheduleEntry(entry)
+    }
+}
+
+/**
+ * Save the speed schedule. Entries with invalid hours are dropped.
+ */
+function saveSpeedSchedule() {
+    const isHour = hour => Number.isInteger(hour) && hour >= 0 && hour <= 23
+    const schedule = []
+    for (const row of settingsSpeedScheduleEntries.children) {
+        const value = name => row.querySelector(`input[name=${name}]`).value
+        const startHour = Number.parseInt(value('startHour'))
+        const endHour = Number.parseInt(value('endHour'))
+        if (!isHour(startHour) || !isHour(endHour)) {
+            continue
+        }
+        schedule.push({
+            startHour,
+            endHour,
+            downloadLimit: parseScheduleLimit(value('downloadLimit')),
+            uploadLimit: parseScheduleLimit(value('uploadLimit'))
+        })
+    }
+    ConfigManager.setSpeedSchedule(schedule)
+}
+
+/**
+ * Launcher Tab (Game Session)
+ */
+
+const settingsGameSessionMode = document.getElementById('settingsGameSessionMode')
+const settingsGameSessionSpeedLimit = document.getElementById('settingsGameSessionSpeedLimit')
+
+/**
+ * The speed cap is only used when seeding is throttled while the game is running.
+ */
+function updateGameSessionSpeedLimit() {
+    settingsGameSessionSpeedLimit.disabled = settingsGameSessionMode.value !== 'throttle'
+}
+
+settingsGameSessionMode.onchange = updateGameSessionSpeedLimit
+
+/**
+ * Launcher Tab (Repair)
+ */
+
+const settingsRepairButton = document.getElementById('settingsRepairButton')
+const settingsRepairStatus = document.getElementById('settingsRepairStatus')
+
+// Keep reference to the AssetExec which repairs the game files.
+let repairAEx = null
+
+/**
+ * Build the description of a repair report for the overlay.
+ *
+ * @param {Object} report The report returned by AssetGuard.repairEverything.
+ * @returns {string} The description HTML.
+ */
+function buildRepairReport(report) {
+    const describe = (label, ids) => {
+        const listed = ids.slice(0, 10).join(', ') + (ids.length > 10 ? ', ...' : '')
+        return `${Lang.queryJS(label)} ${ids.length}` + (ids.length > 0 ? ` (${listed})` : '')
+    }
+    const lines = [`${Lang.queryJS('settings.tabLauncher.repairChecked')} ${report.checked}`]
+    if (report.repaired.length === 0 && report.failed.length === 0) {
+        lines.push(Lang.queryJS('settings.tabLauncher.repairNothing'))
+    } else {
+        lines.push(describe('settings.tabLauncher.repairMissing', report.missing))
+        lines.push(describe('settings.tabLauncher.repairCorrupted', report.corrupted))
+        lines.push(describe('settings.tabLauncher.repairRepaired', report.repaired))
+    }
+    if (report.failed.length > 0) {
+        lines.push(describe('settings.tabLauncher.repairNotRepaired', report.failed))
+    }
+    return lines.join('<br>')
+}
+
+/**
+ * Finish the repair, showing the result in an overlay.
+ *
+ * @param {string} title The overlay title.
+ * @param {string} desc The overlay description.
+ */
+function finishRepair(title, desc) {
+    if (repairAEx != null && repairAEx.connected) {
+        repairAEx.disconnect()
+    }
+    repairAEx = null
+    remote.getCurrentWindow().setProgressBar(-1)
+    settingsRepairStatus.innerHTML = ''
+    settingsRepairButton.disabled = false
+    setLaunchEnabled(ConfigManager.getSelectedServer() != null)
+
+    setOverlayContent(title, desc, Lang.queryJS('settings.tabLauncher.repairAccept'))
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Check every game file by its full hash and download again the broken ones
+ * without launching the game.
+ */
+function repairGameFiles() {
+    if (repairAEx != null || (aEx != null && aEx.connected)) {
+        return
+    }
+    // Files opened by the running game must not be replaced.
+    if (pb != null) {
+        settingsRepairStatus.innerHTML = Lang.queryJS('settings.tabLauncher.repairGameRunning')
+        return
+    }
+    if (backgroundUpdateExec != null) {
+        stopBackgroundUpdate().then(repairGameFiles)
+        return
+    }
+    if (ConfigManager.getSelectedAccount() == null || ConfigManager.getSelectedServer() == null) {
+        settingsRepairStatus.innerHTML = Lang.queryJS('settings.tabLauncher.repairUnavailable')
+        return
+    }
+
+    settingsRepairButton.disabled = true
+    setLaunchEnabled(false)
+    settingsRepairStatus.innerHTML = Lang.queryJS('settings.tabLauncher.repairChecking')
+
+    const forkEnv = JSON.parse(JSON.stringify(process.env))
+    forkEnv.CONFIG_DIRECT_PATH = ConfigManager.getLauncherDirectory()
+    const repairExec = cp.fork(path.join(__dirname, 'assets', 'js', 'assetexec.js'), [
+        'AssetGuard',
+        remote.app.getVersion()
+    ], {
+        env: forkEnv,
+        stdio: 'pipe'
+    })
+    repairAEx = repairExec
+    repairExec.stdio[1].setEncoding('utf8')
+    repairExec.stdio[1].on('data', (data) => log.info(data))
+    repairExec.stdio[2].setEncoding('utf8')
+    repairExec.stdio[2].on('data', (data) => log.info(data))
+
+    const listener = (event, ...args) => {
+        repairExec.send({
+            task: 'execute',
+            function: 'torrentsNotification',
+            argsArr: args
+        })
+    }
+    ipcRenderer.on('torrentsNotification', listener)
+
+    repairExec.on('close', (code) => {
+        ipcRenderer.removeListener('torrentsNotification', listener)
+        if (code !== 0 && repairAEx === repairExec) {
+            finishRepair(Lang.queryJS('settings.tabLauncher.repairFailed'), `AssetExec exited with code ${code}.`)
+        }
+    })
+
+    repairExec.on('message', (m) => {
+        if (repairAEx !== repairExec) {
+            // The repair has already finished.
+            return
+        }
+        if (m.context === 'torrents') {
+            ipcRenderer.send.apply(ipcRenderer, ['torrents', ...m.args])
+        } else if (m.context === 'validate') {
+            if (m.data === 'files') {
+                settingsRepairStatus.innerHTML = Lang.queryJS('settings.tabLauncher.repairDownloading')
+            }
+        } else if (m.context === 'progress') {
+            if (m.data === 'validating') {
+                settingsRepairStatus.innerHTML = `${Lang.queryJS('settings.tabLauncher.repairChecking')} ${m.percent}%`
+            } else if (m.data === 'download') {
+                remote.getCurrentWindow().setProgressBar(m.value / m.total)
+                settingsRepairStatus.innerHTML = `${Lang.queryJS('settings.tabLauncher.repairDownloading')} ${m.percent}%`
+            }
+        } else if (m.context === 'error') {
+            if (m.data === 'diskspace') {
+                finishRepair(Lang.queryJS('landing.diskSpace.title'), describeDiskSpaceShortfall(m.error))
+            } else if (m.data === 'download' && m.error.failed != null) {
+                // The files which could not be downloaded are listed in the report of repairEverything.
+                return
+            } else {
+                finishRepair(Lang.queryJS('settings.tabLauncher.repairFailed'), m.error || 'See console (CTRL + Shift + i) for more details.')
+            }
+        } else if (m.context === 'repairEverything') {
+            if (m.result.report == null) {
+                finishRepair(Lang.queryJS('settings.tabLauncher.repairFailed'), m.result.error)
+            } else {
+                const title = m.result.report.failed.length > 0 ? 'settings.tabLauncher.repairPartial' : 'settings.tabLauncher.repairDone'
+                finishRepair(Lang.queryJS(title), buildRepairReport(m.result.report))
+            }
+        }
+    })
+
+    repairExec.send({
+        task: 'execute',
+        function: 'repairEverything',
+        argsArr: [ConfigManager.getSelectedServer(), DistroManager.isDevMode()]
+    })
+}
+
+settingsRepairButton.onclick = (e) => {
+    e.target.blur()
+    repairGameFiles()
+}
+
+/**
+ * Downloads Tab
+ */
+
+// Number of download sessions shown in the tab.
+const DOWNLOAD_SESSIONS_SHOWN = 10
+
+const settingsDownloadsSessions = document.getElementById('settingsDownloadsSessions')
+
+/**
+ * Build the element describing a single download session.
+ *
+ * @param {{startedAt: number, duration: number, result: string, stats: Object}} session
+ * @returns {HTMLElement}
+ */
+function buildDownloadSession(session) {
+    const {stats} = session
+    const lines = [
+        `${Lang.queryJS('settings.tabDownloads.files')} ${stats.files}`,
+        `${Lang.queryJS('settings.tabDownloads.duration')} ${Math.round(session.duration / 1000)} s`
+    ]
+    for (const [source, {files, bytes, failures, retries}] of Object.entries(stats.sources)) {
+        lines.push(`${source}: ${files} (${formatBytes(bytes)}), ${Lang.queryJS('settings.tabDownloads.failures')} ${failures}, ${Lang.queryJS('settings.tabDownloads.retries')} ${retries || 0}`)
+    }
+    for (const [host, {bytes, throughput}] of Object.entries(stats.hosts)) {
+        const speed = throughput != null ? `${formatBytes(throughput)}/s` : '-'
+        lines.push(`${host}: ${formatBytes(bytes)}, ${speed}`)
+    }
+    lines.push(`${Lang.queryJS('settings.tabDownloads.fallbacks')} ${stats.fallbacks}`)
+    if (stats.savedBytes > 0) {
+        lines.push(`${Lang.queryJS('settings.tabDownloads.saved')} ${formatBytes(stats.savedBytes)}`)
+    }
+    if (stats.failuresCount > 0) {
+        lines.push(`${Lang.queryJS('settings.tabDownloads.failures')} ${stats.failuresCount}`)
+        for (const failure of stats.failures.slice(0, 5)) {
+            lines.push(`${failure.id} (${failure.source}): ${failure.reason}`)
+        }
+    }
+
+    const container = document.createElement('div')
+    container.className = 'settingsFieldContainer'
+    const left = document.createElement('div')
+    left.className = 'settingsFieldLeft'
+    const title = document.createElement('span')
+    title.className = 'settingsFieldTitle'
+    title.textContent = `${new Date(session.startedAt).toLocaleString()} • ${Lang.queryJS(`settings.tabDownloads.results.${session.result}`) || session.result}`
+    left.appendChild(title)
+    for (const line of lines) {
+        const desc = document.createElement('span')
+        desc.className = 'settingsFieldDesc'
+        desc.textContent = line
+        left.appendChild(desc)
+    }
+    container.appendChild(left)
+    return container
+}
+
+/**
+ * Prepare the downloads tab for display.
+ */
+function prepareDownloadsTab() {
+    let sessions
+    try {
+        sessions = StatsManager.getSessions(DOWNLOAD_SESSIONS_SHOWN)
+    } catch (err) {
+        console.warn('Failed to load download statistics', err)
+        sessions = []
+    }
+    settingsDownloadsSessions.innerHTML = ''
+    if (sessions.length === 0) {
+        const empty = document.createElement('span')
+        empty.className = 'settingsFieldDesc'
+        empty.textContent = Lang.queryJS('settings.tabDownloads.empty')
+        settingsDownloadsSessions.appendChild(empty)
+        return
+    }
+    for (const session of sessions) {
+        settingsDownloadsSessions.appendChild(buildDownloadSession(session))
+    }
+}
+
+/**
+ * Seeding Tab
+ */
+
+// How often the seeding state is refreshed while the tab is shown.
+const SEEDING_REFRESH_INTERVAL = 2000
+
+const settingsSeedingTorrents = document.getElementById('settingsSeedingTorrents')
+const settingsSeedingSummary = document.getElementById('settingsSeedingSummary')
+const settingsSeedingStopAll = document.getElementById('settingsSeedingStopAll')
+
+let seedingRefreshTimer = null
+
+/**
+ * Send a command to the seeding torrents and show their state afterwards.
+ *
+ * @param {string} cmd One of 'state', 'pause', 'resume' or 'stopAll'.
+ * @param {string} infoHash Optional. The torrent the command is for.
+ */
+function sendSeedingCommand(cmd, infoHash) {
+    return ipcRenderer.invoke('seeding', cmd, infoHash)
+        .then(renderSeedingState, (err) => console.warn('Failed to get seeding state', err))
+}
+
+/**
+ * @param {{infoHash: string, file: string, paused: boolean, uploaded: number, ratio: number, peers: Array.<string>, uploadSpeed: number}} entry
+ * @returns {HTMLElement}
+ */
+function buildSeedingEntry(entry) {
+    const lines = [
+        entry.file,
+        `${Lang.queryJS('settings.tabSeeding.uploaded')} ${formatBytes(entry.uploaded)}, ${Lang.queryJS('settings.tabSeeding.ratio')} ${entry.ratio.toFixed(2)}`
+    ]
+    if (entry.paused) {
+        lines.push(Lang.queryJS('settings.tabSeeding.paused'))
+    } else {
+        lines.push(`${Lang.queryJS('settings.tabSeeding.speed')} ${formatBytes(entry.uploadSpeed)}/s`)
+        lines.push(`${Lang.queryJS('settings.tabSeeding.peers')} ${entry.peers.length}${entry.peers.length > 0 ? ` (${entry.peers.join(', ')})` : ''}`)
+    }
+
+    const container = document.createElement('div')
+    container.className = 'settingsFieldContainer'
+    const left = document.createElement('div')
+    left.className = 'settingsFieldLeft'
+    const title = document.createElement('span')
+    title.className = 'settingsFieldTitle'
+    title.textContent = path.basename(entry.file)
+    left.appendChild(title)
+    for (const line of lines) {
+        const desc = document.createElement('span')
+        desc.className = 'settingsFieldDesc'
+        desc.textContent = line
+        left.appendChild(desc)
+    }
+    const right = document.createElement('div')
+    right.className = 'settingsFieldRight'
+    const button = document.createElement('button')
+    button.className = 'settingsSeedingButton'
+    button.textContent = Lang.queryJS(entry.paused ? 'settings.tabSeeding.resume' : 'settings.tabSeeding.pause')
+    button.onclick = () => {
+        button.disabled = true
+        sendSeedingCommand(entry.paused ? 'resume' : 'pause', entry.infoHash)
+    }
+    right.appendChild(button)
+    container.appendChild(left)
+    container.appendChild(right)
+    return container
+}
+
+/**
+ * @param {Array.<Object>} state State of every seeded file.
+ */
+function renderSeedingState(state) {
+    const active = state.filter(entry => !entry.paused)
+    const uploadSpeed = active.reduce((sum, entry) => sum + entry.uploadSpeed, 0)
+    const uploaded = state.reduce((sum, entry) => sum + entry.uploaded, 0)
+    settingsSeedingSummary.textContent = `${Lang.queryJS('settings.tabSeeding.files')} ${active.length}/${state.length}, ${Lang.queryJS('settings.tabSeeding.uploaded')} ${formatBytes(uploaded)}, ${Lang.queryJS('settings.tabSeeding.speed')} ${formatBytes(uploadSpeed)}/s`
+    settingsSeedingStopAll.disabled = active.length === 0
+
+    settingsSeedingTorrents.innerHTML = ''
+    if (state.length === 0) {
+        const empty = document.createElement('span')
+        empty.className = 'settingsFieldDesc'
+        empty.textContent = Lang.queryJS('settings.tabSeeding.empty')
+        settingsSeedingTorrents.appendChild(empty)
+        return
+    }
+    for (const entry of state) {
+        settingsSeedingTorrents.appendChild(buildSeedingEntry(entry))
+    }
+}
+
+/**
+ * Refresh the seeding state until the tab is left.
+ */
+function startSeedingRefresh() {
+    sendSeedingCommand('state')
+    if (seedingRefreshTimer != null) {
+        return
+    }
+    seedingRefreshTimer = setInterval(() => {
+        if (getCurrentView() !== VIEWS.settings || selectedSettingsTab !== 'settingsTabSeeding') {
+            clearInterval(seedingRefreshTimer)
+            seedingRefreshTimer = null
+            return
+        }
+        sendSeedingCommand('state')
+    }, SEEDING_REFRESH_INTERVAL)
+}
+
+settingsSeedingStopAll.onclick = () => {
+    settingsSeedingStopAll.disabled = true
+    sendSeedingCommand('stopAll')
+}
+
+document.getElementById('settingsNavTabSeeding').addEventListener('click', startSeedingRefresh)
+
+/**
+ * Prepare the seeding tab for display.
+ */
+function prepareSeedingTab() {
+    if (selectedSettingsTab === 'settingsTabSeeding') {
+        startSeedingRefresh()
+    }
+}
+
 /**
  * About Tab
  */
@@ -1347,6 +1866,10 @@ function prepareSettings(first = false) {
     }
     initSettingsValues()
     prepareAccountsTab()
+    prepareDownloadsTab()
+    prepareSeedingTab()
+    prepareSpeedSchedule()
+    updateGameSessionSpeedLimit()
     bindRangeSlider()
     // prepareJavaTab()
     // prepareAboutTab()
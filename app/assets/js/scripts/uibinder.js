@@ -113,6 +113,7 @@ function showMainUI() {
             }
 
             ipcRenderer.send('torrents', 'init')
+            ipcRenderer.send('lanSharing', ConfigManager.getLanSharing() ? 'start' : 'stop')
 
             setTimeout(async () => {
                 await fingerprint
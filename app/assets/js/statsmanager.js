@@ -0,0 +1,172 @@
+const {DownloadSessionDBManager} = require('./databasemanager')
+const LoggerUtil = require('./loggerutil')
+
+const logger = LoggerUtil('%c[StatsManager]', 'color: #a02d2a; font-weight: bold')
+
+// Number of sessions kept in the database.
+const SESSIONS_KEPT = 100
+// Number of failures stored per session, the rest are only counted.
+const FAILURES_KEPT = 50
+
+/**
+ * Statistics of the download session in progress. A process runs a single session at a time.
+ */
+let session = null
+
+
+function _getHost(url) {
+    try {
+        return new URL(url).host || null
+    } catch (e) {
+        return null
+    }
+}
+
+function _getSource(source) {
+    const stats = session.sources[source] || {files: 0, bytes: 0, failures: 0, retries: 0}
+    session.sources[source] = stats
+    return stats
+}
+
+/**
+ * Start collecting the statistics of a new download session.
+ *
+ * @param {number} files Amount of files queued for download.
+ */
+exports.startSession = function (files) {
+    session = {
+        startedAt: Date.now(),
+        files,
+        sources: {},
+        hosts: {},
+        failures: [],
+        failuresCount: 0,
+        fallbacks: 0,
+        retries: 0,
+        savedBytes: 0
+    }
+}
+
+/**
+ * @param {string} source Name of the fetcher type.
+ * @param {number} bytes Amount of bytes fetched.
+ */
+exports.recordBytes = function (source, bytes) {
+    if (session && source) {
+        _getSource(source).bytes += bytes
+    }
+}
+
+/**
+ * @param {string} source Name of the fetcher type which provided a valid file.
+ */
+exports.recordSuccess = function (source) {
+    if (session && source) {
+        _getSource(source).files++
+    }
+}
+
+/**
+ * @param {string} assetId
+ * @param {string} source Name of the fetcher type which failed.
+ * @param {*} reason
+ */
+exports.recordFailure = function (assetId, source, reason) {
+    if (!session) {
+        return
+    }
+    if (source) {
+        _getSource(source).failures++
+    }
+    session.failuresCount++
+    if (session.failures.length < FAILURES_KEPT) {
+        session.failures.push({
+            id: assetId,
+            source,
+            reason: reason instanceof Error ? reason.message : String(reason)
+        })
+    }
+}
+
+/**
+ * Record that the progress of a file was dropped to try it again or from another source.
+ */
+exports.recordFallback = function () {
+    if (session) {
+        session.fallbacks++
+    }
+}
+
+/**
+ * @param {string} source Name of the fetcher type which is tried again after a failure.
+ */
+exports.recordRetry = function (source) {
+    if (session && source) {
+        _getSource(source).retries++
+        session.retries++
+    }
+}
+
+/**
+ * @param {string} url
+ * @param {number} bytes Amount of bytes received.
+ * @param {number} duration Download duration in milliseconds.
+ */
+exports.recordHost = function (url, bytes, duration) {
+    const host = _getHost(url)
+    if (!session || !host) {
+        return
+    }
+    const stats = session.hosts[host] || {bytes: 0, duration: 0, throughput: null}
+    stats.bytes += bytes
+    stats.duration += duration
+    stats.throughput = stats.duration > 0 ? stats.bytes * 1000 / stats.duration : null
+    session.hosts[host] = stats
+}
+
+/**
+ * @param {number} bytes Amount of bytes which did not have to be downloaded, e.g. thanks to a patch.
+ */
+exports.recordSavedBytes = function (bytes) {
+    if (session && bytes > 0) {
+        session.savedBytes += bytes
+    }
+}
+
+/**
+ * Store the statistics of the session in progress. Does nothing if there is none.
+ *
+ * @param {string} result One of 'complete', 'failed' or 'cancelled'.
+ */
+exports.finishSession = function (result) {
+    if (!session) {
+        return
+    }
+    const finished = session
+    session = null
+    const {startedAt, ...stats} = finished
+    try {
+        DownloadSessionDBManager.add({
+            startedAt,
+            duration: Date.now() - startedAt,
+            result,
+            stats
+        })
+        DownloadSessionDBManager.prune(SESSIONS_KEPT)
+    } catch (e) {
+        logger.warn('Failed to save download statistics', e)
+    }
+}
+
+/**
+ * @param {number} limit Amount of sessions to return.
+ * @returns {Array.<{startedAt: number, duration: number, result: string, stats: Object}>} The latest sessions first.
+ */
+exports.getSessions = function (limit) {
+    return DownloadSessionDBManager.getLast(limit).map(row => ({
+        startedAt: row.startedAt,
+        duration: row.duration,
+        result: row.result,
+        stats: JSON.parse(row.stats)
+    }))
+}
@@ -1,14 +1,20 @@
 const EventEmitter = require('events')
+const fs = require('fs-extra')
+const got = require('got')
 const path = require('path')
 
 const parseTorrent = require('parse-torrent')
 const WebTorrent = require('webtorrent')
+const WebConn = require('webtorrent/lib/webconn')
 const FSChunkStore = require('fs-chunk-store')
 
+const BandwidthManager = require('./bandwidthmanager')
 const ConfigManager = require('./configmanager')
 const LoggerUtil = require('./loggerutil')
+const MirrorManager = require('./mirrormanager')
+const ProxyManager = require('./proxymanager')
 const {TimeoutEmitter} = require('./helpers')
-const {TorrentDBManager} = require('./databasemanager')
+const {TorrentDBManager, ValidationDBManager} = require('./databasemanager')
 
 const logger = LoggerUtil('%c[TorrentManager]', 'color: #a02d2a; font-weight: bold')
 
@@ -19,28 +25,197 @@ class TorrentHolder {
         TorrentDBManager.add(targetPath, torrentFile)
     }
 
+    /**
+     * @returns {Promise<Array.<{path: string, torrentdata: string, unfinished: number}>>} Rows of the torrents table.
+     * Paths are JSON encoded, torrent files are base64 encoded.
+     */
     static async getData() {
         return TorrentDBManager.getAll()
     }
+
+    /**
+     * Remember the torrent of an unfinished download. WebTorrent verifies the pieces on disk
+     * when the torrent is added again, so they are not stored.
+     *
+     * @param {string} targetPath
+     * @param {Object} torrent The downloading torrent, its metadata must be known.
+     */
+    static async saveProgress(targetPath, torrent) {
+        TorrentDBManager.saveProgress(targetPath, torrent.torrentFile)
+    }
+
+    /**
+     * @param {string} targetPath
+     * @returns {Promise<?Buffer>} Torrent file of the unfinished download of the file, null if there is none.
+     */
+    static async getProgress(targetPath) {
+        const row = TorrentDBManager.get(targetPath)
+        if (row == null || !row.unfinished) {
+            return null
+        }
+        return Buffer.from(row.torrentdata, 'base64')
+    }
+
+    static async remove(targetPath) {
+        TorrentDBManager.remove(targetPath)
+    }
 }
 
 
 const EMPTY_CB = () => {
 }
 
+/**
+ * Check the file against the validation cache of the assets, hashing every seeded file
+ * on startup would take too long.
+ *
+ * @param {string} targetPath
+ * @param {number} length Size of the file in the torrent.
+ * @returns {Promise<string>} 'valid' if the file did not change since its validation, 'missing' if
+ * there is no such file anymore and 'unknown' otherwise.
+ */
+async function _getFileState(targetPath, length) {
+    let stats
+    try {
+        stats = await fs.stat(targetPath)
+    } catch (e) {
+        return 'missing'
+    }
+    const entry = ValidationDBManager.get(targetPath)
+    const isValid = entry != null
+        && stats.size === length
+        && entry.size === stats.size
+        && entry.mtime === stats.mtimeMs
+        && entry.inode === String(stats.ino)
+    return isValid ? 'valid' : 'unknown'
+}
+
+// Time allowed for a web seed to return a piece.
+const WEB_SEED_TIMEOUT = 60000
+
+/**
+ * Web seed which requests the pieces the way the http fetcher does: with the headers
+ * of the game file servers and through the proxy. Its result goes to the mirror statistics.
+ */
+class AuthorizedWebConn extends WebConn {
+    /**
+     * @param {string} url
+     * @param {Object} torrent
+     * @param {Object.<string, string>} headers
+     */
+    constructor(url, torrent, headers) {
+        super(url, torrent)
+        this._headers = headers
+        this._received = 0
+        this._busyTime = 0
+        this._failed = false
+        this.once('close', () => {
+            // A single result per web seed, otherwise the pieces of one file would bench the host.
+            if (!this._failed && this._received > 0) {
+                MirrorManager.reportSuccess(url, this._received, this._busyTime, null)
+            }
+        })
+    }
+
+    httpRequest(pieceIndex, offset, length, cb) {
+        // The store maps the torrent to a single file, so the offset in the torrent is the one in the file.
+        const start = pieceIndex * this._torrent.pieceLength + offset
+        const startedAt = Date.now()
+        got(this.url, {
+            headers: {...this._headers, 'Range': `bytes=${start}-${start + length - 1}`},
+            responseType: 'buffer',
+            timeout: WEB_SEED_TIMEOUT,
+            retry: 0,
+            agent: ProxyManager.getGotAgent()
+        }).then((response) => {
+            if (response.statusCode !== 206 || response.body.length !== length) {
+                throw new Error(`Unexpected response ${response.statusCode} of ${response.body.length} bytes from ${this.url}.`)
+            }
+            return response.body
+        }).then((data) => {
+            this._received += length
+            this._busyTime += Date.now() - startedAt
+            cb(null, data)
+        }, (err) => {
+            if (!this._failed) {
+                this._failed = true
+                MirrorManager.reportFailure(this.url)
+            }
+            cb(err)
+        })
+    }
+}
+
+/**
+ * @param {Buffer} torrentFile
+ * @param {Array.<string>} webSeeds
+ * @returns {Buffer} The torrent file which lists the web seeds in its url-list.
+ */
+function _withWebSeeds(torrentFile, webSeeds) {
+    const parsedTorrent = parseTorrent(torrentFile)
+    const urlList = [...new Set([...parsedTorrent.urlList, ...webSeeds])]
+    if (urlList.length === parsedTorrent.urlList.length) {
+        return torrentFile
+    }
+    return parseTorrent.toTorrentFile({...parsedTorrent, urlList})
+}
+
+/**
+ * @param {number} limit Limit in KB/s, Number.MAX_VALUE if there is no limit.
+ * @returns {number} Rate in bytes per second as WebTorrent expects it, -1 if there is no limit.
+ */
+function _toRate(limit) {
+    return limit === Number.MAX_VALUE ? -1 : 1024 * limit
+}
+
 class TorrentManager {
     constructor() {
+        // Peers are connected directly, only the trackers are announced through the proxy.
+        const agent = ProxyManager.getAgent()
+        const limits = BandwidthManager.getLimits()
         this.webTorrentClient = new WebTorrent({
-            downloadLimit: ConfigManager.getAssetDownloadSpeedLimit(),
-            uploadLimit: ConfigManager.getTorrentUploadSpeedLimit()
+            downloadLimit: _toRate(limits.download),
+            uploadLimit: _toRate(limits.upload),
+            ...(agent ? {tracker: {proxyOpts: {httpAgent: agent, httpsAgent: agent}}} : {})
         })
+        /** @type {?number} */
+        this._downloadCap = null
+        /** @type {?number} */
+        this._gameCap = null
+        /**
+         * Info hashes of the files paused while the game is running.
+         *
+         * @type {Set<string>}
+         */
+        this._pausedForGame = new Set()
+        BandwidthManager.watch(() => this.applyLimits())
+        /** @type {Map<string, function(Error)>} */
+        this._aborts = new Map()
+        /**
+         * Files offered for seeding by their info hash. Paused ones have no torrent.
+         *
+         * @type {Map<string, {targetPath: string, torrentFile: Buffer, length: number, uploaded: number, torrent: ?Object, peers: Set<string>}>}
+         */
+        this._seeding = new Map()
     }
 
-    add(parsedTorrent, targetPath, cb = EMPTY_CB) {
+    /**
+     * @param {Buffer|Object} torrentId The torrent file or the parsed torrent.
+     * @param {string} targetPath
+     * @param {function()} cb Optional. Called once the torrent is ready.
+     * @param {boolean} skipVerify Optional. If true, the file is trusted without hashing its pieces.
+     * @param {?Object.<string, string>} webSeedHeaders Optional. Headers to request the web seeds of the
+     * torrent with, they are not used without them.
+     * @returns {Object} The added torrent.
+     */
+    add(torrentId, targetPath, cb = EMPTY_CB, skipVerify = false, webSeedHeaders = null) {
+        // Web seeds of WebTorrent itself would bypass the proxy and the authorization.
+        const {urlList = [], ...parsedTorrent} = Buffer.isBuffer(torrentId) ? parseTorrent(torrentId) : torrentId
         const dirname = path.dirname(targetPath)
-        const torrent = this.webTorrentClient.add(parsedTorrent, {
+        const torrent = this.webTorrentClient.add({...parsedTorrent, urlList: []}, {
             path: dirname,
             fileModtimes: false,
+            skipVerify,
             store: function (chunkLength, storeOpts) {
                 let updatedStoreOpts = {...storeOpts}
                 updatedStoreOpts.files.forEach(file => {
@@ -53,26 +228,173 @@ class TorrentManager {
             }
         }, cb)
         logger.log('torrent is added:', torrent.infoHash)
+        if (webSeedHeaders != null && urlList.length > 0) {
+            // Web seeds serve the pieces, so they need the metadata.
+            torrent.once('metadata', () => {
+                for (const url of urlList) {
+                    torrent.addWebSeed(new AuthorizedWebConn(url, torrent, webSeedHeaders))
+                }
+            })
+        }
         return torrent
     }
 
+    /**
+     * Seed again the files downloaded by the previous runs. Torrents of the files which are gone
+     * are forgotten, files changed since their last validation wait for the next fetch.
+     */
     async startAll() {
-        await this.stopAll()
-
-        const torrentsBlob = await TorrentHolder.getData()
-        const promises = []
-        for (const [targetPath, torrentInfo] of Object.entries(torrentsBlob)) {
-            promises.push(new Promise((resolve, reject) => {
-                try {
-                    const torrent = this.add(Buffer.from(torrentInfo.torrent, 'base64'), targetPath, resolve)
+        /** @type {Array.<Promise<boolean>>} Whether each file is seeded. */
+        const seeds = []
+        for (const row of await TorrentHolder.getData()) {
+            if (row.unfinished) {
+                // Unfinished download, it is continued by the next fetch.
+                continue
+            }
+            const targetPath = JSON.parse(row.path)
+            try {
+                const torrentFile = Buffer.from(row.torrentdata, 'base64')
+                const state = await _getFileState(targetPath, parseTorrent(torrentFile).length)
+                if (state === 'missing') {
+                    await TorrentHolder.remove(targetPath)
+                    continue
+                }
+                if (state !== 'valid') {
+                    logger.log(`Not seeding ${targetPath}, it changed since the last validation.`)
+                    continue
+                }
+                // A file which fails to seed does not stop the others.
+                seeds.push(new Promise((resolve, reject) => {
+                    // The file is validated already, its pieces are not hashed again.
+                    const torrent = this.seed(torrentFile, targetPath, resolve, true)
                     torrent.on('wire', (wire, addr) => logger.log(`[${torrent.name}]: connected to peer with address ${addr}.`))
                     torrent.on('warning', logger.warn)
-                } catch (e) {
-                    reject(e)
+                    torrent.once('error', (error) => {
+                        // A failed torrent is destroyed, so the file is not offered anymore.
+                        const entry = this._seeding.get(torrent.infoHash)
+                        if (entry != null && entry.torrent === torrent) {
+                            this._seeding.delete(torrent.infoHash)
+                        }
+                        reject(error)
+                    })
+                }).then(() => true, (error) => {
+                    logger.warn(`Failed to restore seeding of ${targetPath}`, error)
+                    return false
+                }))
+            } catch (e) {
+                logger.warn(`Failed to restore seeding of ${targetPath}`, e)
+            }
+        }
+
+        const restored = (await Promise.all(seeds)).filter(Boolean).length
+        logger.log(`Restored seeding of ${restored} of ${seeds.length} files`)
+    }
+
+    /**
+     * Offer the downloaded file to other players.
+     *
+     * @param {Buffer} torrentFile
+     * @param {string} targetPath
+     * @param {function()} cb Optional. Called once the torrent is ready.
+     * @param {boolean} skipVerify Optional. If true, the file is trusted without hashing its pieces.
+     * @returns {Object} The seeding torrent.
+     */
+    seed(torrentFile, targetPath, cb = EMPTY_CB, skipVerify = false) {
+        const {infoHash, length} = parseTorrent(torrentFile)
+        const previous = this._seeding.get(infoHash)
+        if (previous != null && previous.torrent != null) {
+            this._removeSeeding(previous)
+        }
+        const torrent = this.add(torrentFile, targetPath, cb, skipVerify)
+        const peers = new Set()
+        torrent.on('wire', (wire, addr) => {
+            peers.add(addr)
+            wire.once('close', () => peers.delete(addr))
+        })
+        this._seeding.set(infoHash, {
+            targetPath,
+            torrentFile,
+            length,
+            uploaded: previous != null ? previous.uploaded : 0,
+            torrent,
+            peers
+        })
+        return torrent
+    }
+
+    _removeSeeding(entry) {
+        const torrent = entry.torrent
+        entry.uploaded += torrent.uploaded
+        entry.torrent = null
+        entry.peers.clear()
+        return new Promise((resolve) => {
+            this.webTorrentClient.remove(torrent, (err) => {
+                if (err) {
+                    logger.warn(`Failed to stop seeding ${entry.targetPath}`, err)
                 }
-            }))
+                resolve()
+            })
+        })
+    }
+
+    /**
+     * Stop seeding the file until it is resumed. The file stays available for the game.
+     *
+     * @param {string} infoHash
+     */
+    async pauseSeeding(infoHash) {
+        this._pausedForGame.delete(infoHash)
+        const entry = this._seeding.get(infoHash)
+        if (entry != null && entry.torrent != null) {
+            logger.log(`Pausing seeding of ${entry.targetPath}`)
+            await this._removeSeeding(entry)
+        }
+    }
+
+    /**
+     * @param {string} infoHash
+     */
+    resumeSeeding(infoHash) {
+        const entry = this._seeding.get(infoHash)
+        if (entry != null && entry.torrent == null) {
+            logger.log(`Resuming seeding of ${entry.targetPath}`)
+            this.seed(entry.torrentFile, entry.targetPath)
+        }
+    }
+
+    /**
+     * Pause seeding of every file. Fetches in progress are not affected.
+     */
+    async stopSeeding() {
+        this._pausedForGame.clear()
+        const promises = []
+        for (const entry of this._seeding.values()) {
+            if (entry.torrent != null) {
+                promises.push(this._removeSeeding(entry))
+            }
         }
         await Promise.all(promises)
+        logger.log('Stopped seeding')
+    }
+
+    /**
+     * @returns {Array.<{infoHash: string, file: string, paused: boolean, uploaded: number, ratio: number, peers: Array.<string>, uploadSpeed: number}>}
+     * State of every file offered for seeding. Uploaded bytes include the ones before a pause.
+     */
+    getSeedingState() {
+        return [...this._seeding.entries()].map(([infoHash, entry]) => {
+            const torrent = entry.torrent
+            const uploaded = entry.uploaded + (torrent != null ? torrent.uploaded : 0)
+            return {
+                infoHash,
+                file: entry.targetPath,
+                paused: torrent == null,
+                uploaded,
+                ratio: entry.length > 0 ? uploaded / entry.length : 0,
+                peers: [...entry.peers],
+                uploadSpeed: torrent != null ? torrent.uploadSpeed : 0
+            }
+        })
     }
 
     async stopAll() {
@@ -90,13 +412,32 @@ class TorrentManager {
             }))
         })
         await Promise.all(promises)
+        for (const entry of this._seeding.values()) {
+            if (entry.torrent != null) {
+                entry.uploaded += entry.torrent.uploaded
+                entry.torrent = null
+                entry.peers.clear()
+            }
+        }
     }
 
-    fetch(magneticUrl, targetPath) {
+    /**
+     * Download the file of the torrent and seed it afterwards.
+     *
+     * @param {string} magneticUrl
+     * @param {string} targetPath
+     * @param {{urls: Array.<string>, headers: Object.<string, string>}} webSeeds Optional. Http urls of the
+     * file and the headers to request them with. Pieces are downloaded from them alongside the peers once
+     * the metadata is known. The urls are kept in the stored torrent as well.
+     * @returns {EventEmitter} Reporter of the 'download', 'done' and 'error' events.
+     */
+    fetch(magneticUrl, targetPath, webSeeds = {urls: [], headers: {}}) {
         const reporter = new EventEmitter()
-        Promise.resolve().then(() => {
+        Promise.resolve().then(async () => {
             const parsedTorrent = parseTorrent(magneticUrl)
-            const torrent = this.add(parsedTorrent, targetPath)
+            parsedTorrent.urlList = [...new Set([...(parsedTorrent.urlList || []), ...webSeeds.urls])]
+            const torrent = this.add(await this._resume(parsedTorrent, targetPath), targetPath, EMPTY_CB, false, webSeeds.headers)
+
 
             const timer = new TimeoutEmitter(
                 ConfigManager.getTorrentTimeout(),
@@ -122,15 +463,23 @@ class TorrentManager {
             // })
             torrent.on('wire', (wire, addr) => logger.log(`[${torrent.name}]: connected to peer with address ${addr}.`))
 
+            // An unreachable web seed is reported as a warning, the peers keep serving the pieces.
             torrent.on('warning', logger.warn)
             torrent.on('ready', () => {
                 logger.log(`[${torrent.name}]: torrent is ready.`)
+                if (!torrent.done) {
+                    // Pieces of an interrupted download are picked up by the next fetch of the same torrent.
+                    TorrentHolder.saveProgress(targetPath, torrent).catch((e) => {
+                        logger.warn(`[${torrent.name}]: failed to save download progress.`, e)
+                    })
+                }
             })
             torrent.on('noPeers', announceType => {
                 logger.log(`[${torrent.name}]: torrent has no peers in ${announceType}.`)
             })
 
             return new Promise((resolve, reject) => {
+                this._aborts.set(magneticUrl, reject)
                 torrent.on('error', reject)
                 torrent.on('done', () => {
                     logger.log(`torrent ${torrent.name} download finished.`)
@@ -138,6 +487,7 @@ class TorrentManager {
                 })
                 timer.on('timeout', reject)
             }).finally(async () => {
+                this._aborts.delete(magneticUrl)
                 timer.cancel()
                 await new Promise((resolve, reject) => {
                     this.webTorrentClient.remove(torrent, (err) => {
@@ -153,10 +503,11 @@ class TorrentManager {
                 reporter.emit('done', result)
             }).then(async () => {
                 try {
-                    await TorrentHolder.add(targetPath, torrent.torrentFile)
+                    const torrentFile = _withWebSeeds(torrent.torrentFile, parsedTorrent.urlList)
+                    await TorrentHolder.add(targetPath, torrentFile)
                     // need to add after removing torrent to reset file stream to readonly because readwrite
                     // stream blocks file from accessing by game client
-                    this.add(torrent.torrentFile, targetPath)
+                    this.seed(torrentFile, targetPath)
                 } catch (e) {
                     logger.warn(`Failed to save torrent for seeding ${torrent.name}`)
                 }
@@ -168,6 +519,111 @@ class TorrentManager {
         })
         return reporter
     }
+
+    /**
+     * Continue the unfinished download of the same torrent. Its metadata is known without
+     * any peer then, the pieces already on disk are verified when the torrent is added.
+     *
+     * @param {Object} parsedTorrent The torrent to download.
+     * @param {string} targetPath
+     * @returns {Promise<Object>} The parsed torrent to add.
+     */
+    async _resume(parsedTorrent, targetPath) {
+        const torrentFile = await TorrentHolder.getProgress(targetPath)
+        if (torrentFile == null) {
+            return parsedTorrent
+        }
+        const stored = parseTorrent(torrentFile)
+        if (stored.infoHash !== parsedTorrent.infoHash) {
+            // The file belongs to another version now.
+            await TorrentHolder.remove(targetPath)
+            return parsedTorrent
+        }
+        logger.log(`Resuming download of ${targetPath}.`)
+        return {
+            ...stored,
+            announce: [...new Set([...stored.announce, ...(parsedTorrent.announce || [])])],
+            urlList: [...new Set([...stored.urlList, ...parsedTorrent.urlList])]
+        }
+    }
+
+    /**
+     * Stop the fetch of the torrent. Downloaded pieces stay on disk.
+     *
+     * @param {string} magneticUrl
+     */
+    abort(magneticUrl) {
+        const abort = this._aborts.get(magneticUrl)
+        if (abort) {
+            logger.log(`Aborting fetch of ${magneticUrl}`)
+            abort(new Error(`Fetch of ${magneticUrl} was aborted.`))
+        }
+    }
+
+    /**
+     * Apply the speed limits in effect to all torrents, they follow without being restarted.
+     */
+    applyLimits() {
+        const limits = BandwidthManager.getLimits()
+        const caps = [this._downloadCap, this._gameCap].filter(cap => cap != null)
+        const download = Math.min(limits.download, ...caps)
+        const upload = this._gameCap != null ? Math.min(this._gameCap, limits.upload) : limits.upload
+        this.webTorrentClient.throttleDownload(_toRate(download))
+        this.webTorrentClient.throttleUpload(_toRate(upload))
+    }
+
+    /**
+     * Cap the download speed of all torrents on top of the speed limits.
+     *
+     * @param {?number} limit Cap in KB/s, null to remove it.
+     */
+    throttleDownload(limit) {
+        this._downloadCap = limit
+        this.applyLimits()
+    }
+
+    /**
+     * Keep the torrents out of the way of the running game.
+     *
+     * @param {string} mode 'pause' stops seeding, 'throttle' caps both directions, 'keep' changes nothing.
+     * @param {number} limit Cap in KB/s used in the 'throttle' mode.
+     */
+    async suspendForGame(mode, limit) {
+        switch (mode) {
+            case 'pause': {
+                const promises = []
+                for (const [infoHash, entry] of this._seeding) {
+                    if (entry.torrent != null) {
+                        this._pausedForGame.add(infoHash)
+                        promises.push(this._removeSeeding(entry))
+                    }
+                }
+                await Promise.all(promises)
+                logger.log(`Paused seeding of ${promises.length} files while the game is running`)
+                break
+            }
+            case 'throttle':
+                this._gameCap = limit
+                this.applyLimits()
+                logger.log(`Limited torrents to ${limit} KB/s while the game is running`)
+                break
+        }
+    }
+
+    /**
+     * Undo {@link suspendForGame} once the game is closed. Files paused on the
+     * seeding dashboard in the meantime stay paused.
+     */
+    resumeAfterGame() {
+        if (this._gameCap != null) {
+            this._gameCap = null
+            this.applyLimits()
+        }
+        for (const infoHash of this._pausedForGame) {
+            this.resumeSeeding(infoHash)
+        }
+        this._pausedForGame.clear()
+    }
 }
 
 
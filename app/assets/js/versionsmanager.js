@@ -3,6 +3,7 @@ const got = require('got')
 const _ = require('lodash')
 
 const ConfigManager = require('./configmanager')
+const ProxyManager = require('./proxymanager')
 const {
     File,
     DirectoryModifierRule,
@@ -43,7 +44,8 @@ class Downloads {
                     artifact.size,
                     artifact.urls,
                     artifact.path,
-                    path.join(versionStoragePath, artifact.path)
+                    path.join(versionStoragePath, artifact.path),
+                    artifact.fetcherPriorities || null
                 )
                 assets[assetId] = file
             } else {
@@ -216,7 +218,8 @@ exports.fetch = async function (version, launcherVersion, force = false) {
         logger.info(`Fetching descriptor '${url}' metadata.`)
         const response = await got.get(url, {
             headers: customHeaders,
-            timeout: 5000
+            timeout: 5000,
+            agent: ProxyManager.getGotAgent()
         })
         switch (response.statusCode) {
             case 304: {
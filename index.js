@@ -1,11 +1,15 @@
 // Requirements
-const {app, BrowserWindow, ipcMain, Menu} = require('electron')
+const {app, BrowserWindow, ipcMain, Menu, Tray, session} = require('electron')
 const autoUpdater = require('electron-updater').autoUpdater
 const ejse = require('ejs-electron')
 const fs = require('fs')
 const isDev = require('./app/assets/js/isdev')
+const BandwidthManager = require('./app/assets/js/bandwidthmanager')
 const ConfigManager = require('./app/assets/js/configmanager')
+const LangLoader = require('./app/assets/js/langloader')
 const {TorrentManager} = require('./app/assets/js/torrentmanager')
+const {LanShareServer} = require('./app/assets/js/lanmanager')
+const ProxyManager = require('./app/assets/js/proxymanager')
 const path = require('path')
 const semver = require('semver')
 const url = require('url')
@@ -102,17 +106,16 @@ class TorrentsEventsListener {
                     // Load ConfigManager
                     ConfigManager.load()
                     this._manager = new TorrentManager()
-                    // this._manager.startAll().then(() => {
-                    //     event.sender.send('torrentsNotification', 'inited')
-                    // }, (err) => {
-                    //     event.sender.send('torrentsNotification', 'error', err)
-                    // })
+                    // Nothing waits for the restored seeding, so no notification is sent to the running downloads.
+                    this._manager.startAll().catch((err) => {
+                        console.warn('Failed to restore seeding', err)
+                    })
                     break
                 }
                 case 'fetch': {
-                    const [magneticUrl, targetPath] = args
+                    const [magneticUrl, targetPath, webSeeds] = args
                     try {
-                        const reporter = this._manager.fetch(magneticUrl, targetPath)
+                        const reporter = this._manager.fetch(magneticUrl, targetPath, webSeeds)
                         reporter.on('download', (bytes) => {
                             event.sender.send('torrentsNotification', 'download', magneticUrl, bytes)
                         })
@@ -127,6 +130,31 @@ class TorrentsEventsListener {
                     }
                     break
                 }
+                case 'abort': {
+                    const [magneticUrl] = args
+                    this._manager.abort(magneticUrl)
+                    break
+                }
+                case 'limits': {
+                    // Reload to pick up the changed speed limits.
+                    ConfigManager.load()
+                    BandwidthManager.refresh()
+                    break
+                }
+                case 'throttle': {
+                    const [limit] = args
+                    this._manager.throttleDownload(limit)
+                    break
+                }
+                case 'gameStarted': {
+                    const [mode, limit] = args
+                    await this._manager.suspendForGame(mode, limit)
+                    break
+                }
+                case 'gameClosed': {
+                    this._manager.resumeAfterGame()
+                    break
+                }
                 case 'stop': {
                     this._manager.stopAll().then(() => {
                         event.sender.send('torrentsNotification', 'stopped')
@@ -142,11 +170,78 @@ class TorrentsEventsListener {
             event.sender.send('torrentsNotification', 'error', e)
         }
     }
+
+    /**
+     * Handle a seeding dashboard command.
+     *
+     * @returns {Promise.<Array.<Object>>} State of every seeded file after the command.
+     */
+    async seedingHandler(event, cmd, infoHash) {
+        if (this._manager == null) {
+            return []
+        }
+        switch (cmd) {
+            case 'state':
+                break
+            case 'pause':
+                await this._manager.pauseSeeding(infoHash)
+                break
+            case 'resume':
+                this._manager.resumeSeeding(infoHash)
+                break
+            case 'stopAll':
+                await this._manager.stopSeeding()
+                break
+            default:
+                console.log('Unknown command for seeding', cmd)
+        }
+        return this._manager.getSeedingState()
+    }
 }
 
 
 const _torrentsEventsListener = new TorrentsEventsListener()
 ipcMain.on('torrents', _torrentsEventsListener.handler.bind(_torrentsEventsListener))
+ipcMain.handle('seeding', _torrentsEventsListener.seedingHandler.bind(_torrentsEventsListener))
+
+const _lanShareServer = new LanShareServer()
+ipcMain.on('lanSharing', async (event, cmd) => {
+    try {
+        // Reload to pick up the current data directory.
+        ConfigManager.load()
+        switch (cmd) {
+            case 'start':
+                await _lanShareServer.start()
+                break
+            case 'stop':
+                await _lanShareServer.stop()
+                break
+            default:
+                console.log('Unknown command for LAN sharing', cmd)
+        }
+    } catch (e) {
+        console.warn('Failed to change LAN sharing state', e)
+    }
+})
+
+// Session which electron-updater downloads the update feed and the updates with.
+const UPDATER_PARTITION = 'electron-updater'
+
+// Apply the proxy settings to the window and the update feed and resolve the system
+// proxy for the renderer, which passes it on to the processes it forks.
+ipcMain.handle('proxy', async () => {
+    try {
+        // Reload to pick up the saved settings.
+        ConfigManager.load()
+        await ConfigManager.loadProxyPassword()
+        await ProxyManager.applyToSession(session.defaultSession)
+        await ProxyManager.applyToSession(session.fromPartition(UPDATER_PARTITION, {cache: false}))
+        return await ProxyManager.detectSystemProxy(session.defaultSession)
+    } catch (e) {
+        console.warn('Failed to apply proxy settings', e)
+        return 'direct'
+    }
+})
 
 
 // Disable hardware acceleration.
@@ -159,6 +254,9 @@ app.allowRendererProcessReuse = true
 // Keep a global reference of the window object, if you don't, the window will
 // be closed automatically when the JavaScript object is garbage collected.
 let win
+let tray = null
+// Closing the window only hides it to the tray while background updates are enabled, unless the app quits.
+let quitting = false
 
 function createWindow() {
 
@@ -193,11 +291,61 @@ function createWindow() {
 
     win.resizable = true
 
+    win.on('close', (event) => {
+        if (quitting) {
+            return
+        }
+        // Reload to pick up the current settings.
+        ConfigManager.load()
+        if (ConfigManager.getBackgroundUpdates()) {
+            event.preventDefault()
+            hideToTray()
+        }
+    })
+
     win.on('closed', () => {
         win = null
     })
 }
 
+function showWindow() {
+    if (tray != null) {
+        tray.destroy()
+        tray = null
+    }
+    if (win) {
+        win.show()
+        win.focus()
+        win.webContents.send('backgroundUpdateNotification', 'shown')
+    }
+}
+
+function hideToTray() {
+    win.hide()
+    win.webContents.send('backgroundUpdateNotification', 'hidden')
+    if (tray != null) {
+        return
+    }
+    // Load Strings the same way the preloader does.
+    LangLoader.loadLanguage('en_US')
+    LangLoader.loadLanguage('ru_RU')
+    tray = new Tray(getPlatformIcon('SealCircle'))
+    tray.setToolTip(app.getName())
+    tray.setContextMenu(Menu.buildFromTemplate([{
+        label: LangLoader.queryJS('tray.open'),
+        click: showWindow
+    }, {
+        label: LangLoader.queryJS('tray.updateNow'),
+        click: () => win.webContents.send('backgroundUpdateNotification', 'updateNow')
+    }, {
+        type: 'separator'
+    }, {
+        label: LangLoader.queryJS('tray.quit'),
+        click: () => app.quit()
+    }]))
+    tray.on('click', showWindow)
+}
+
 function createMenu() {
     if (process.platform !== 'darwin') {
         return
@@ -277,6 +425,9 @@ if (!gotTheLock) {
     app.on('second-instance', (event, commandLine, workingDirectory) => {
         // Someone tried to run a second instance, we should focus our window.
         if (win) {
+            if (!win.isVisible()) {
+                showWindow()
+            }
             if (win.isMinimized()) {
                 win.restore()
             }
@@ -289,6 +440,32 @@ if (!gotTheLock) {
     app.on('ready', createWindow)
     app.on('ready', createMenu)
 
+    app.on('before-quit', () => {
+        quitting = true
+    })
+
+    app.on('login', (event, webContents, details, authInfo, callback) => {
+        if (!authInfo.isProxy) {
+            return
+        }
+        const credentials = ProxyManager.getCredentials()
+        if (credentials) {
+            event.preventDefault()
+            callback(credentials.username, credentials.password)
+        }
+    })
+
+    // Requests of the updater belong to no window, their proxy asks for the credentials here.
+    autoUpdater.on('login', (authInfo, callback) => {
+        const credentials = authInfo.isProxy ? ProxyManager.getCredentials() : null
+        if (credentials) {
+            callback(credentials.username, credentials.password)
+        } else {
+            // No credentials cancel the request.
+            callback()
+        }
+    })
+
     app.on('window-all-closed', () => {
         // On macOS it is common for applications and their menu bar
         // to stay active until the user quits explicitly with Cmd + Q
@@ -302,6 +479,8 @@ if (!gotTheLock) {
         // dock icon is clicked and there are no other windows open.
         if (win === null) {
             createWindow()
+        } else if (!win.isVisible()) {
+            showWindow()
         }
     })
 